@@ -1,2 +1,5 @@
-import "./turbo-refresh-animations.js"
+import { install } from "./turbo-refresh-animations.js"
 
+install()
+
+export * from "./turbo-refresh-animations.js"
@@ -1,17 +1,14 @@
-import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
 import {
   dispatchTurboVisit,
   dispatchTurboBeforeRender,
   dispatchTurboRender,
   dispatchTurboBeforeCache,
   buildNewBody,
+  setLocation,
 } from "./helpers.js"
 
-import "../turbo-refresh-animations.js"
-
-function setLocation(path) {
-  window.history.replaceState({}, "", path)
-}
+import { config, registerAnimation, unregisterAnimation } from "../index.js"
 
 function samePageRefreshCycle(newBody) {
   const url = window.location.href
@@ -263,3 +260,634 @@ describe("getAnimationClass opt-in logic", () => {
     expect(added).toContain("turbo-refresh-enter")
   })
 })
+
+describe("Web Animations registry", () => {
+  let container
+
+  // jsdom has no element.animate; stand in with a controllable Animation
+  function stubAnimate(el) {
+    const calls = []
+    el.animate = vi.fn((keyframes, options) => {
+      let resolveFinished
+      let rejectFinished
+      const animation = {
+        keyframes,
+        options,
+        finished: new Promise((resolve, reject) => {
+          resolveFinished = resolve
+          rejectFinished = reject
+        }),
+        finish: () => resolveFinished(animation),
+        cancel: vi.fn(() => rejectFinished(new DOMException("Aborted", "AbortError"))),
+      }
+      calls.push(animation)
+      return animation
+    })
+    return calls
+  }
+
+  beforeEach(() => {
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    unregisterAnimation("slide-in")
+    unregisterAnimation("fade-out")
+    container.remove()
+    dispatchTurboRender()
+  })
+
+  function enterElement(attrs) {
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(`<div id="item-1" ${attrs}></div>`))
+
+    const temp = document.createElement("div")
+    temp.innerHTML = `<div id="item-1" ${attrs}></div>`
+    const el = temp.firstChild
+    container.appendChild(el)
+    return el
+  }
+
+  it("plays registered keyframes with element.animate for wa: names", () => {
+    registerAnimation("slide-in", [{ transform: "translateY(-10px)" }, { transform: "none" }], { duration: 200 })
+    const el = enterElement('data-turbo-refresh-animate data-turbo-refresh-enter="wa:slide-in"')
+    const calls = stubAnimate(el)
+
+    dispatchTurboRender()
+
+    expect(calls).toHaveLength(1)
+    expect(calls[0].keyframes).toEqual([{ transform: "translateY(-10px)" }, { transform: "none" }])
+    expect(calls[0].options).toEqual({ duration: 200 })
+    expect(el.classList.contains("wa:slide-in")).toBe(false)
+  })
+
+  it("passes the element to keyframe and option functions", () => {
+    registerAnimation(
+      "slide-in",
+      (el) => [{ height: "0px" }, { height: `${el.dataset.height}px` }],
+      () => 150
+    )
+    const el = enterElement('data-turbo-refresh-animate data-turbo-refresh-enter="wa:slide-in" data-height="42"')
+    const calls = stubAnimate(el)
+
+    dispatchTurboRender()
+
+    expect(calls[0].keyframes).toEqual([{ height: "0px" }, { height: "42px" }])
+    expect(calls[0].options).toEqual({ duration: 150 })
+  })
+
+  it("dispatches after-enter when the animation finishes", async () => {
+    registerAnimation("slide-in", [{ opacity: 0 }, { opacity: 1 }], 200)
+    const el = enterElement('data-turbo-refresh-animate data-turbo-refresh-enter="wa:slide-in"')
+    const calls = stubAnimate(el)
+    const afterEnter = vi.fn()
+    el.addEventListener("turbo-refresh:after-enter", afterEnter)
+
+    dispatchTurboRender()
+    await Promise.resolve()
+    expect(afterEnter).not.toHaveBeenCalled()
+
+    calls[0].finish()
+    await calls[0].finished
+    await Promise.resolve()
+    expect(afterEnter).toHaveBeenCalledTimes(1)
+  })
+
+  it("waits for the finished promise before removing exiting elements", async () => {
+    registerAnimation("fade-out", [{ opacity: 1 }, { opacity: 0 }], 300)
+    const el = document.createElement("div")
+    el.id = "item-1"
+    el.setAttribute("data-turbo-refresh-animate", "")
+    el.setAttribute("data-turbo-refresh-exit", "wa:fade-out")
+    container.appendChild(el)
+    const calls = stubAnimate(el)
+
+    dispatchTurboVisit(window.location.href, "replace")
+    const event = dispatchTurboBeforeRender(buildNewBody(""))
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(calls[0].options).toEqual({ fill: "forwards", duration: 300 })
+    expect(el.isConnected).toBe(true)
+
+    calls[0].finish()
+    await calls[0].finished
+    await Promise.resolve()
+    expect(el.isConnected).toBe(false)
+  })
+
+  it("removes the exiting element and resumes the render when the effect throws", async () => {
+    registerAnimation("fade-out", () => { throw new Error("no height to measure") }, 300)
+    const el = document.createElement("div")
+    el.id = "item-1"
+    el.setAttribute("data-turbo-refresh-animate", "")
+    el.setAttribute("data-turbo-refresh-exit", "wa:fade-out")
+    container.appendChild(el)
+    stubAnimate(el)
+    const resume = vi.fn()
+
+    dispatchTurboVisit(window.location.href, "replace")
+    const event = dispatchTurboBeforeRender(buildNewBody(""), resume)
+    await vi.waitFor(() => expect(resume).toHaveBeenCalled())
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(el.isConnected).toBe(false)
+  })
+
+  it("cancels running web animations before caching", () => {
+    registerAnimation("slide-in", [{ opacity: 0 }, { opacity: 1 }], 200)
+    const el = enterElement('data-turbo-refresh-animate data-turbo-refresh-enter="wa:slide-in"')
+    const calls = stubAnimate(el)
+    dispatchTurboRender()
+
+    dispatchTurboBeforeCache()
+
+    expect(calls[0].cancel).toHaveBeenCalled()
+  })
+
+  it("treats unregistered names as instant", () => {
+    const el = enterElement('data-turbo-refresh-animate data-turbo-refresh-enter="wa:missing"')
+    const calls = stubAnimate(el)
+    const afterEnter = vi.fn()
+    el.addEventListener("turbo-refresh:after-enter", afterEnter)
+
+    dispatchTurboRender()
+
+    expect(calls).toHaveLength(0)
+    expect(afterEnter).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe("staggered animations", () => {
+  let list
+  let style
+
+  beforeEach(() => {
+    setLocation("/items")
+    dispatchTurboRender()
+
+    list = document.createElement("ul")
+    list.setAttribute("data-turbo-refresh-stagger", "40ms")
+    document.body.appendChild(list)
+
+    // Give enter animations a duration so the stagger variable is observable
+    style = document.createElement("style")
+    style.textContent = ".turbo-refresh-enter { animation-name: fade; animation-duration: 300ms; }"
+    document.head.appendChild(style)
+  })
+
+  afterEach(() => {
+    dispatchTurboBeforeCache()
+    style.remove()
+    list.remove()
+    dispatchTurboRender()
+  })
+
+  function enterItems(ids) {
+    const html = ids.map(id => `<li id="${id}" data-turbo-refresh-animate></li>`).join("")
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(`<ul>${html}</ul>`))
+    list.innerHTML = html
+
+    const delays = {}
+    const listener = (event) => { delays[event.target.id] = event.detail.staggerDelayMs }
+    document.addEventListener("turbo-refresh:before-enter", listener)
+    dispatchTurboRender()
+    document.removeEventListener("turbo-refresh:before-enter", listener)
+    return delays
+  }
+
+  it("assigns increasing delays in DOM order", () => {
+    const delays = enterItems(["a", "b", "c"])
+
+    expect(delays).toEqual({ a: 0, b: 40, c: 80 })
+    expect(document.getElementById("b").style.getPropertyValue("--turbo-refresh-stagger-delay")).toBe("40ms")
+    expect(document.getElementById("a").style.getPropertyValue("--turbo-refresh-stagger-delay")).toBe("")
+  })
+
+  it("orders by position with data-turbo-refresh-stagger-order=visual", () => {
+    list.setAttribute("data-turbo-refresh-stagger-order", "visual")
+    const tops = { a: 200, b: 100, c: 0 }
+    const originalRect = Element.prototype.getBoundingClientRect
+    Element.prototype.getBoundingClientRect = function () {
+      return { left: 0, top: tops[this.id] ?? 0, width: 0, height: 0 }
+    }
+
+    const delays = enterItems(["a", "b", "c"])
+    Element.prototype.getBoundingClientRect = originalRect
+
+    expect(delays).toEqual({ a: 80, b: 40, c: 0 })
+  })
+
+  it("counts the stagger delay once, through the computed animation-delay", () => {
+    vi.useFakeTimers()
+    // Browsers resolve var(--turbo-refresh-stagger-delay) in animation-delay; jsdom doesn't
+    style.textContent += "#c.turbo-refresh-enter { animation-delay: 80ms; }"
+    enterItems(["a", "b", "c"])
+    const c = document.getElementById("c")
+    const afterEnter = vi.fn()
+    c.addEventListener("turbo-refresh:after-enter", afterEnter)
+
+    vi.advanceTimersByTime(429)
+    expect(c.classList.contains("turbo-refresh-enter")).toBe(true)
+
+    vi.advanceTimersByTime(1)
+    vi.useRealTimers()
+    expect(c.classList.contains("turbo-refresh-enter")).toBe(false)
+    expect(afterEnter).toHaveBeenCalledTimes(1)
+  })
+
+  it("does not stagger elements outside a stagger container", () => {
+    list.removeAttribute("data-turbo-refresh-stagger")
+    const delays = enterItems(["a", "b"])
+
+    expect(delays).toEqual({ a: 0, b: 0 })
+  })
+
+  it("clears the stagger variable before caching", () => {
+    enterItems(["a", "b"])
+    dispatchTurboBeforeCache()
+
+    expect(document.getElementById("b").style.getPropertyValue("--turbo-refresh-stagger-delay")).toBe("")
+  })
+
+  it("staggers exits", () => {
+    list.innerHTML = '<li id="a" data-turbo-refresh-animate></li><li id="b" data-turbo-refresh-animate></li>'
+    const delays = {}
+    const listener = (event) => { delays[event.target.id] = event.detail.staggerDelayMs }
+    document.addEventListener("turbo-refresh:before-exit", listener)
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody("<ul></ul>"))
+
+    document.removeEventListener("turbo-refresh:before-exit", listener)
+    expect(delays).toEqual({ a: 0, b: 40 })
+  })
+
+  it("delays FLIP transitions", () => {
+    list.innerHTML = '<li id="a" data-turbo-refresh-move></li><li id="b" data-turbo-refresh-move></li>'
+    let offset = 0
+    for (const el of list.children) {
+      el.getBoundingClientRect = () => ({ left: 0, top: offset, width: 10, height: 10 })
+    }
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(list.outerHTML))
+    offset = 50
+    dispatchTurboRender()
+
+    expect(document.getElementById("a").style.transition).toBe("transform 150ms ease-out 0ms")
+    expect(document.getElementById("b").style.transition).toBe("transform 150ms ease-out 40ms")
+  })
+})
+
+describe("size-aware FLIP", () => {
+  let container
+
+  beforeEach(() => {
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    dispatchTurboBeforeCache()
+    container.remove()
+    dispatchTurboRender()
+  })
+
+  // Renders a move element whose rect changes from `before` to `after` across a refresh
+  function resize(moveValue, before, after) {
+    container.innerHTML = `<div id="card" data-turbo-refresh-move="${moveValue}"><p>Text</p></div>`
+    const el = document.getElementById("card")
+    let rect = before
+    el.getBoundingClientRect = () => ({ left: 0, width: 0, height: 0, top: 0, ...rect })
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(container.innerHTML))
+    rect = after
+    dispatchTurboRender()
+    return el
+  }
+
+  it("ignores size changes by default", () => {
+    const el = resize("", { width: 100, height: 50 }, { width: 200, height: 100 })
+
+    expect(el.style.transition).toBe("")
+  })
+
+  it("inverts scale and counter-scales children with move=scale", () => {
+    const el = resize("scale", { width: 100, height: 50 }, { width: 200, height: 100 })
+    const child = el.querySelector("p")
+
+    // Played: transitions run back to no transform
+    expect(el.style.transition).toBe("transform 150ms ease-out 0ms")
+    expect(el.style.transformOrigin).toBe("0 0")
+    expect(child.style.transition).toBe("transform 150ms ease-out 0ms")
+  })
+
+  it("records the inverted scale before playing", () => {
+    container.innerHTML = '<div id="card" data-turbo-refresh-move="scale"><p>Text</p></div>'
+    const el = document.getElementById("card")
+    const child = el.querySelector("p")
+    let rect = { left: 0, top: 0, width: 100, height: 50 }
+    el.getBoundingClientRect = () => rect
+
+    // Capture the inverted transforms at the single forced reflow between invert and play
+    const inverted = []
+    Object.defineProperty(document.body, "offsetWidth", {
+      configurable: true,
+      get() {
+        inverted.push([el.style.transform, child.style.transform])
+        return 0
+      },
+    })
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(container.innerHTML))
+    rect = { left: 10, top: 20, width: 200, height: 100 }
+    dispatchTurboRender()
+
+    delete document.body.offsetWidth
+    expect(inverted).toEqual([["translate(-10px, -20px) scale(0.5, 0.5)", "scale(2, 2)"]])
+  })
+
+  it("restores the inline styles of counter-scaled children", () => {
+    container.innerHTML = '<div id="card" data-turbo-refresh-move="scale"><p style="transform: rotate(5deg); transform-origin: 50% 50%">Text</p></div>'
+    const el = document.getElementById("card")
+    const child = el.querySelector("p")
+    let rect = { left: 0, top: 0, width: 100, height: 50 }
+    el.getBoundingClientRect = () => rect
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(container.innerHTML))
+    rect = { left: 0, top: 0, width: 200, height: 100 }
+    dispatchTurboRender()
+
+    expect(child.style.transform).toBe("scale(1, 1) rotate(5deg)")
+
+    dispatchTurboBeforeCache()
+
+    expect(child.style.transform).toBe("rotate(5deg)")
+    expect(child.style.transformOrigin).toBe("50% 50%")
+    expect(child.style.transition).toBe("")
+  })
+
+  it("leaves children that run their own FLIP out of the counter-scale", () => {
+    container.innerHTML = '<div id="card" data-turbo-refresh-move="scale"><p id="note" data-turbo-refresh-move>Text</p></div>'
+    const el = document.getElementById("card")
+    const child = document.getElementById("note")
+    let rect = { left: 0, top: 0, width: 100, height: 50 }
+    let childRect = { left: 0, top: 0, width: 100, height: 20 }
+    el.getBoundingClientRect = () => rect
+    child.getBoundingClientRect = () => childRect
+
+    const inverted = []
+    Object.defineProperty(document.body, "offsetWidth", {
+      configurable: true,
+      get() {
+        inverted.push([child.style.transform, child.style.transformOrigin])
+        return 0
+      },
+    })
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(container.innerHTML))
+    rect = { left: 0, top: 0, width: 200, height: 100 }
+    childRect = { left: 0, top: 30, width: 200, height: 20 }
+    dispatchTurboRender()
+
+    delete document.body.offsetWidth
+    expect(inverted).toEqual([["translate(0px, -30px)", ""]])
+  })
+
+  it("animates real width and height with move=size", () => {
+    const el = resize("size", { width: 100, height: 50 }, { width: 200, height: 100 })
+
+    expect(el.style.transition).toBe(
+      "transform 150ms ease-out 0ms, width 150ms ease-out 0ms, height 150ms ease-out 0ms"
+    )
+    expect(el.style.width).toBe("200px")
+    expect(el.style.height).toBe("100px")
+  })
+
+  it("restores inline styles when the FLIP is interrupted by caching", () => {
+    const el = resize("size", { width: 100, height: 50 }, { width: 200, height: 100 })
+    dispatchTurboBeforeCache()
+
+    expect(el.style.width).toBe("")
+    expect(el.style.height).toBe("")
+    expect(el.style.boxSizing).toBe("")
+    expect(el.style.transition).toBe("")
+  })
+})
+
+describe("collapse on exit / expand on enter", () => {
+  let container
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    dispatchTurboBeforeCache()
+    container.remove()
+    dispatchTurboRender()
+    vi.useRealTimers()
+  })
+
+  it("collapses the element after its exit animation, then removes it", async () => {
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-exit-collapse style="padding-top: 4px">Bye</div>'
+    const el = document.getElementById("item-1")
+    Object.defineProperty(el, "scrollHeight", { value: 40 })
+
+    dispatchTurboVisit(window.location.href, "replace")
+    const event = dispatchTurboBeforeRender(buildNewBody(""))
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(el.isConnected).toBe(true)
+    expect(el.style.height).toBe("0px")
+    expect(el.style.marginTop).toBe("0px")
+    expect(el.style.overflow).toBe("hidden")
+    expect(el.style.transition).toContain("height 250ms ease 0ms")
+
+    await vi.advanceTimersByTimeAsync(300)
+
+    expect(el.isConnected).toBe(false)
+    expect(el.style.height).toBe("")
+    expect(el.style.paddingTop).toBe("4px")
+  })
+
+  it("uses the attribute value as the collapse duration", () => {
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-exit-collapse="400ms"></div>'
+    const el = document.getElementById("item-1")
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(""))
+
+    expect(el.style.transition).toContain("height 400ms ease 0ms")
+  })
+
+  it("expands entering elements from zero to their natural height", async () => {
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-enter-expand></div>'))
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-enter-expand>Hi</div>'
+    const el = document.getElementById("item-1")
+    Object.defineProperty(el, "scrollHeight", { value: 40 })
+
+    dispatchTurboRender()
+
+    expect(el.style.height).toBe("40px")
+    expect(el.style.transition).toContain("height 250ms ease 0ms")
+
+    await vi.advanceTimersByTimeAsync(300)
+
+    expect(el.style.height).toBe("")
+    expect(el.style.overflow).toBe("")
+  })
+
+  it("does not expand elements without the attribute", () => {
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate></div>'))
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate>Hi</div>'
+    const el = document.getElementById("item-1")
+
+    dispatchTurboRender()
+
+    expect(el.style.height).toBe("")
+  })
+
+  it("restores inline styles when caching mid-expand", () => {
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-enter-expand></div>'))
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-enter-expand>Hi</div>'
+    const el = document.getElementById("item-1")
+
+    dispatchTurboRender()
+    dispatchTurboBeforeCache()
+
+    expect(el.style.height).toBe("")
+    expect(el.style.transition).toBe("")
+  })
+})
+
+describe("ghost exits", () => {
+  let container
+  let style
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    document.body.appendChild(container)
+
+    style = document.createElement("style")
+    style.textContent = ".turbo-refresh-exit { animation-name: fade; animation-duration: 300ms; }"
+    document.head.appendChild(style)
+  })
+
+  afterEach(() => {
+    dispatchTurboBeforeCache()
+    style.remove()
+    container.remove()
+    dispatchTurboRender()
+    vi.useRealTimers()
+  })
+
+  function ghostOverlay() {
+    return document.querySelector("[data-turbo-refresh-ghosts]")
+  }
+
+  it("does not hold up the render and animates a clone instead", async () => {
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-exit-mode="ghost"><span id="inner">Bye</span></div>'
+    const el = document.getElementById("item-1")
+    el.getBoundingClientRect = () => ({ left: 10, top: 20, width: 100, height: 30 })
+
+    dispatchTurboVisit(window.location.href, "replace")
+    const event = dispatchTurboBeforeRender(buildNewBody(""))
+
+    expect(event.defaultPrevented).toBe(false)
+    expect(el.style.visibility).toBe("hidden")
+
+    const overlay = ghostOverlay()
+    expect(overlay.parentElement).toBe(document.documentElement)
+    const ghost = overlay.firstElementChild
+    expect(ghost.textContent).toBe("Bye")
+    expect(ghost.classList.contains("turbo-refresh-exit")).toBe(true)
+    expect(ghost.hasAttribute("id")).toBe(false)
+    expect(ghost.querySelector("[id]")).toBeNull()
+    expect(ghost.hasAttribute("data-turbo-refresh-animate")).toBe(false)
+    expect(ghost.style.left).toBe("10px")
+    expect(ghost.style.top).toBe("20px")
+    expect(ghost.style.width).toBe("100px")
+
+    await vi.advanceTimersByTimeAsync(400)
+
+    expect(ghost.isConnected).toBe(false)
+    expect(ghostOverlay()).toBeNull()
+  })
+
+  it("keeps controllers, frames and iframes in the clone from starting up", () => {
+    container.innerHTML = `
+      <div id="item-1" data-turbo-refresh-animate data-turbo-refresh-exit-mode="ghost" data-controller="row" data-action="click->row#open">
+        <turbo-frame id="details" src="/items/1/details"></turbo-frame>
+        <iframe src="/embed"></iframe>
+      </div>`
+    document.getElementById("item-1").getBoundingClientRect = () => ({ left: 0, top: 0, width: 100, height: 30 })
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(""))
+
+    const ghost = ghostOverlay().firstElementChild
+    expect(ghost.hasAttribute("data-controller")).toBe(false)
+    expect(ghost.hasAttribute("data-action")).toBe(false)
+    expect(ghost.querySelector("turbo-frame").hasAttribute("src")).toBe(false)
+    expect(ghost.querySelector("iframe").hasAttribute("src")).toBe(false)
+  })
+
+  it("uses config.exitMode globally", () => {
+    config.exitMode = "ghost"
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate></div>'
+
+    dispatchTurboVisit(window.location.href, "replace")
+    const event = dispatchTurboBeforeRender(buildNewBody(""))
+    config.exitMode = "wait"
+
+    expect(event.defaultPrevented).toBe(false)
+    expect(ghostOverlay().childElementCount).toBe(1)
+  })
+
+  it("lets elements opt back into waiting", () => {
+    config.exitMode = "ghost"
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-exit-mode="wait"></div>'
+
+    dispatchTurboVisit(window.location.href, "replace")
+    const event = dispatchTurboBeforeRender(buildNewBody(""))
+    config.exitMode = "wait"
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(ghostOverlay()).toBeNull()
+  })
+
+  it("removes ghosts before caching", () => {
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-exit-mode="ghost"></div>'
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(""))
+    dispatchTurboBeforeCache()
+
+    expect(ghostOverlay()).toBeNull()
+  })
+})
@@ -0,0 +1,336 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import {
+  dispatchTurboRender,
+  dispatchTurboBeforeCache,
+  setLocation,
+  refreshWith,
+  changedByRefresh,
+} from "./helpers.js"
+
+import { registerSignature, unregisterSignature } from "../index.js"
+
+function buildAnimated(html) {
+  const template = document.createElement("template")
+  template.innerHTML = html.trim()
+  return template.content.firstElementChild
+}
+
+describe("change detection strategies", () => {
+  let container
+
+  beforeEach(() => {
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    container.remove()
+    dispatchTurboRender()
+  })
+
+  describe("data-turbo-refresh-watch", () => {
+    it("ignores attribute-only changes by default", () => {
+      const el = buildAnimated('<div id="item-1" data-turbo-refresh-animate><img src="a.png"></div>')
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => el.querySelector("img").setAttribute("src", "b.png"))
+
+      expect(changed).toEqual([])
+    })
+
+    it("counts changes to watched attributes on descendants", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-watch="src, class"><img src="a.png"></div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => el.querySelector("img").setAttribute("src", "b.png"))
+
+      expect(changed).toEqual(["item-1"])
+    })
+
+    it("counts changes to watched attributes on the element itself", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-watch="aria-checked" aria-checked="false">Task</div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => el.setAttribute("aria-checked", "true"))
+
+      expect(changed).toEqual(["item-1"])
+    })
+
+    it("leaves the library's own classes out of a watched class attribute", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-watch="class" class="badge closed">Task</div>'
+      )
+      container.appendChild(el)
+      el.classList.add("turbo-refresh-change", "turbo-refresh-contains-changes", "turbo-refresh-stale")
+
+      // The morph drops the classes the flash still had on
+      const changed = changedByRefresh(() => { el.className = "badge closed" })
+
+      expect(changed).toEqual([])
+    })
+
+    it("still counts other class changes", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-watch="class" data-turbo-refresh-change="flash" class="badge flash">Task</div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => { el.className = "badge closed" })
+
+      expect(changed).toEqual(["item-1"])
+    })
+
+    it("still ignores attributes that aren't listed", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-watch="class"><img src="a.png"></div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => el.querySelector("img").setAttribute("src", "b.png"))
+
+      expect(changed).toEqual([])
+    })
+  })
+
+  describe("data-turbo-refresh-signature-ignore", () => {
+    it("leaves matching descendants' text out of the signature", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-signature-ignore="time[data-relative]">' +
+          'Title <time data-relative>2 minutes ago</time></div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => {
+        el.querySelector("time").textContent = "3 minutes ago"
+      })
+
+      expect(changed).toEqual([])
+    })
+
+    it("still detects changes to the remaining text", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-signature-ignore="time">' +
+          '<span>Title</span> <time>2 minutes ago</time></div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => {
+        el.querySelector("span").textContent = "Renamed"
+        el.querySelector("time").textContent = "just now"
+      })
+
+      expect(changed).toEqual(["item-1"])
+    })
+
+    it("falls back to the full text for an invalid selector", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-signature-ignore="[[">old</div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => {
+        el.textContent = "new"
+      })
+
+      expect(changed).toEqual(["item-1"])
+    })
+  })
+
+  describe("registered signatures", () => {
+    afterEach(() => {
+      unregisterSignature("price")
+    })
+
+    it("decides changes with the registered function", () => {
+      registerSignature("price", (el) => el.querySelector("[data-price]").dataset.price)
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-signature="price">' +
+          '<span data-price="10">$10</span> <span class="note">note</span></div>'
+      )
+      container.appendChild(el)
+
+      const unchanged = changedByRefresh(() => {
+        el.querySelector(".note").textContent = "edited note"
+      })
+      const changed = changedByRefresh(() => {
+        el.querySelector("[data-price]").dataset.price = "12"
+      })
+
+      expect(unchanged).toEqual([])
+      expect(changed).toEqual(["item-1"])
+    })
+
+    it("exposes the signature in lifecycle event details", () => {
+      registerSignature("price", (el) => el.dataset.price)
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-signature="price" data-price="10"></div>'
+      )
+      container.appendChild(el)
+
+      let detail
+      const listener = (event) => { detail = event.detail }
+      document.addEventListener("turbo-refresh:before-change", listener)
+      refreshWith(() => { el.dataset.price = "12" })
+      document.removeEventListener("turbo-refresh:before-change", listener)
+
+      expect(detail.oldSignature).toBe("s:price:10")
+      expect(detail.newSignature).toBe("s:price:12")
+    })
+
+    it("lets data-turbo-refresh-version take precedence", () => {
+      registerSignature("price", (el) => el.dataset.price)
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-signature="price" ' +
+          'data-turbo-refresh-version="v1" data-price="10"></div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => { el.dataset.price = "12" })
+
+      expect(changed).toEqual([])
+    })
+
+    it("falls back to text when the name isn't registered", () => {
+      const el = buildAnimated(
+        '<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-signature="price">old</div>'
+      )
+      container.appendChild(el)
+
+      const changed = changedByRefresh(() => {
+        el.textContent = "new"
+      })
+
+      expect(changed).toEqual(["item-1"])
+    })
+  })
+})
+
+describe("granular change highlighting", () => {
+  let container
+  let style
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    document.body.appendChild(container)
+
+    // Give change animations a duration so the classes are observable
+    style = document.createElement("style")
+    style.textContent = ".turbo-refresh-change { animation-name: flash; animation-duration: 300ms; }"
+    document.head.appendChild(style)
+  })
+
+  afterEach(() => {
+    dispatchTurboBeforeCache()
+    style.remove()
+    container.remove()
+    dispatchTurboRender()
+    vi.useRealTimers()
+  })
+
+  function buildRow(cells, attributes = "data-turbo-refresh-change-granular") {
+    return buildAnimated(
+      `<div id="row-1" data-turbo-refresh-animate ${attributes}>${cells}</div>`
+    )
+  }
+
+  it("animates only the fields that differ", () => {
+    const row = buildRow(
+      '<span data-turbo-refresh-field="name">Widget</span><span data-turbo-refresh-field="price">$10</span>'
+    )
+    container.appendChild(row)
+    const [name, price] = row.children
+
+    refreshWith(() => { price.textContent = "$12" })
+
+    expect(price.classList.contains("turbo-refresh-change")).toBe(true)
+    expect(name.classList.contains("turbo-refresh-change")).toBe(false)
+    expect(row.classList.contains("turbo-refresh-change")).toBe(false)
+    expect(row.classList.contains("turbo-refresh-contains-changes")).toBe(true)
+  })
+
+  it("clears the field and contains-changes classes when the animation ends", () => {
+    const row = buildRow("<span>Widget</span><span>$10</span>")
+    container.appendChild(row)
+    const price = row.children[1]
+
+    let afterDetail
+    const listener = (event) => { afterDetail = event.detail }
+    row.addEventListener("turbo-refresh:after-change", listener)
+    refreshWith(() => { price.textContent = "$12" })
+    vi.advanceTimersByTime(400)
+    row.removeEventListener("turbo-refresh:after-change", listener)
+
+    expect(price.classList.contains("turbo-refresh-change")).toBe(false)
+    expect(row.classList.contains("turbo-refresh-contains-changes")).toBe(false)
+    expect(afterDetail.fields).toEqual([price])
+  })
+
+  it("compares direct children when no fields are marked", () => {
+    const row = buildRow("<span>Widget</span><span>$10</span>")
+    container.appendChild(row)
+    const [name, price] = row.children
+
+    refreshWith(() => { name.textContent = "Gadget" })
+
+    expect(name.classList.contains("turbo-refresh-change")).toBe(true)
+    expect(price.classList.contains("turbo-refresh-change")).toBe(false)
+  })
+
+  it("animates fields that are new since the snapshot", () => {
+    const row = buildRow('<span data-turbo-refresh-field="name">Widget</span>')
+    container.appendChild(row)
+
+    refreshWith(() => {
+      row.insertAdjacentHTML("beforeend", '<span data-turbo-refresh-field="note">On sale</span>')
+    })
+
+    expect(row.children[0].classList.contains("turbo-refresh-change")).toBe(false)
+    expect(row.children[1].classList.contains("turbo-refresh-change")).toBe(true)
+  })
+
+  it("falls back to the whole element when no field differs", () => {
+    const row = buildRow(
+      '<span data-turbo-refresh-field="name">Widget</span> <em>note</em>'
+    )
+    container.appendChild(row)
+
+    refreshWith(() => { row.querySelector("em").textContent = "edited" })
+
+    expect(row.classList.contains("turbo-refresh-change")).toBe(true)
+    expect(row.classList.contains("turbo-refresh-contains-changes")).toBe(false)
+  })
+
+  it("animates the whole element without the opt-in", () => {
+    const row = buildRow("<span>Widget</span><span>$10</span>", "")
+    container.appendChild(row)
+    const price = row.children[1]
+
+    refreshWith(() => { price.textContent = "$12" })
+
+    expect(row.classList.contains("turbo-refresh-change")).toBe(true)
+    expect(price.classList.contains("turbo-refresh-change")).toBe(false)
+  })
+
+  it("removes in-flight field classes on before-cache", () => {
+    const row = buildRow("<span>Widget</span><span>$10</span>")
+    container.appendChild(row)
+    const price = row.children[1]
+
+    refreshWith(() => { price.textContent = "$12" })
+    dispatchTurboBeforeCache()
+
+    expect(price.classList.contains("turbo-refresh-change")).toBe(false)
+    expect(row.classList.contains("turbo-refresh-contains-changes")).toBe(false)
+  })
+})
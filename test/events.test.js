@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  dispatchTurboVisit,
+  dispatchTurboBeforeRender,
+  dispatchTurboRender,
+  buildNewBody,
+  setLocation,
+  recordEvents,
+} from "./helpers.js"
+
+import "../index.js"
+
+function buildAnimated(id, text = "") {
+  const el = document.createElement("div")
+  el.id = id
+  el.setAttribute("data-turbo-refresh-animate", "")
+  el.textContent = text
+  return el
+}
+
+function recordClassAdds(el) {
+  const added = []
+  const originalAdd = el.classList.add.bind(el.classList)
+  el.classList.add = (...classes) => {
+    added.push(...classes)
+    originalAdd(...classes)
+  }
+  return added
+}
+
+describe("lifecycle events", () => {
+  let container
+  let recorder
+
+  beforeEach(() => {
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    recorder?.stop()
+    container.remove()
+    dispatchTurboRender()
+  })
+
+  it("dispatches before-enter and after-enter with the new signature", () => {
+    recorder = recordEvents(["turbo-refresh:before-enter", "turbo-refresh:after-enter"])
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate>new</div>'))
+    const el = buildAnimated("item-1", "new")
+    container.appendChild(el)
+    dispatchTurboRender()
+
+    expect(recorder.events.map(event => event.type)).toEqual([
+      "turbo-refresh:before-enter",
+      "turbo-refresh:after-enter",
+    ])
+
+    const [before] = recorder.events
+    expect(before.target).toBe(el)
+    expect(before.cancelable).toBe(true)
+    expect(before.detail).toMatchObject({
+      element: el,
+      type: "enter",
+      className: "turbo-refresh-enter",
+      oldSignature: null,
+      newSignature: "t:new",
+      oldRect: null,
+    })
+    expect(before.detail.newRect).toBeTruthy()
+  })
+
+  it("dispatches change events with old and new signatures", () => {
+    const el = buildAnimated("item-1", "old")
+    container.appendChild(el)
+    recorder = recordEvents(["turbo-refresh:before-change"])
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate>new</div>'))
+    el.textContent = "new"
+    dispatchTurboRender()
+
+    expect(recorder.events).toHaveLength(1)
+    expect(recorder.events[0].detail).toMatchObject({
+      type: "change",
+      oldSignature: "t:old",
+      newSignature: "t:new",
+    })
+  })
+
+  it("skips the animation when before-* is canceled", () => {
+    const cancel = (event) => event.preventDefault()
+    document.addEventListener("turbo-refresh:before-enter", cancel)
+    recorder = recordEvents(["turbo-refresh:after-enter"])
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate></div>'))
+    const el = buildAnimated("item-1")
+    container.appendChild(el)
+    const added = recordClassAdds(el)
+    dispatchTurboRender()
+
+    document.removeEventListener("turbo-refresh:before-enter", cancel)
+    expect(added).toHaveLength(0)
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("lets before-* listeners swap the class and set CSS variables", () => {
+    const listener = (event) => {
+      event.detail.className = "grow-in"
+      event.detail.element.style.setProperty("--height", "42px")
+    }
+    document.addEventListener("turbo-refresh:before-enter", listener)
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate></div>'))
+    const el = buildAnimated("item-1")
+    container.appendChild(el)
+    const added = recordClassAdds(el)
+    dispatchTurboRender()
+
+    document.removeEventListener("turbo-refresh:before-enter", listener)
+    expect(added).toEqual(["grow-in"])
+    expect(el.style.getPropertyValue("--height")).toBe("42px")
+  })
+
+  it("dispatches exit events before the element is removed", () => {
+    const el = buildAnimated("item-1", "bye")
+    container.appendChild(el)
+    recorder = recordEvents(["turbo-refresh:before-exit", "turbo-refresh:after-exit"])
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(""))
+
+    expect(recorder.events.map(event => event.type)).toEqual([
+      "turbo-refresh:before-exit",
+      "turbo-refresh:after-exit",
+    ])
+    expect(recorder.events[0].detail).toMatchObject({
+      element: el,
+      type: "exit",
+      className: "turbo-refresh-exit",
+      oldSignature: "t:bye",
+      newSignature: null,
+      newRect: null,
+    })
+    expect(el.isConnected).toBe(false)
+  })
+
+  it("leaves canceled exits for the morph to remove", () => {
+    const el = buildAnimated("item-1")
+    container.appendChild(el)
+    const cancel = (event) => event.preventDefault()
+    document.addEventListener("turbo-refresh:before-exit", cancel)
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(""))
+
+    document.removeEventListener("turbo-refresh:before-exit", cancel)
+    expect(el.isConnected).toBe(true)
+  })
+
+  it("dispatches move events with both rects", () => {
+    const el = document.createElement("div")
+    el.id = "item-1"
+    el.setAttribute("data-turbo-refresh-move", "")
+    container.appendChild(el)
+
+    let top = 0
+    el.getBoundingClientRect = () => ({ left: 0, top, width: 10, height: 10 })
+    recorder = recordEvents(["turbo-refresh:before-move"])
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-move></div>'))
+    top = 40
+    dispatchTurboRender()
+
+    expect(recorder.events).toHaveLength(1)
+    expect(recorder.events[0].detail.oldRect.top).toBe(0)
+    expect(recorder.events[0].detail.newRect.top).toBe(40)
+    expect(el.style.transition).toContain("transform")
+  })
+
+  it("skips FLIP when before-move is canceled", () => {
+    const el = document.createElement("div")
+    el.id = "item-1"
+    el.setAttribute("data-turbo-refresh-move", "")
+    container.appendChild(el)
+
+    let top = 0
+    el.getBoundingClientRect = () => ({ left: 0, top, width: 10, height: 10 })
+    const cancel = (event) => event.preventDefault()
+    document.addEventListener("turbo-refresh:before-move", cancel)
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-move></div>'))
+    top = 40
+    dispatchTurboRender()
+
+    document.removeEventListener("turbo-refresh:before-move", cancel)
+    expect(el.style.transition).toBe("")
+  })
+})
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  dispatchTurboBeforeFrameRender,
+  dispatchTurboFrameRender,
+  dispatchTurboBeforeMorphElement,
+  dispatchTurboSubmitStart,
+  buildNewFrame,
+  recordEvents,
+} from "./helpers.js"
+
+import "../index.js"
+
+describe("Turbo Frame morph refreshes", () => {
+  let frame
+  let recorder
+
+  beforeEach(() => {
+    frame = document.createElement("turbo-frame")
+    frame.id = "items"
+    frame.setAttribute("src", "/items/frame")
+    frame.setAttribute("refresh", "morph")
+    frame.innerHTML = `
+      <div id="item-1" data-turbo-refresh-animate>One</div>
+      <div id="item-2" data-turbo-refresh-animate>Two</div>
+    `
+    document.body.appendChild(frame)
+
+    // Initial load records the frame's src
+    dispatchTurboFrameRender(frame)
+
+    recorder = recordEvents([
+      "turbo-refresh:before-enter",
+      "turbo-refresh:before-change",
+      "turbo-refresh:before-exit",
+    ])
+  })
+
+  afterEach(() => {
+    recorder.stop()
+    frame.remove()
+  })
+
+  it("animates exits before the frame renders", () => {
+    const item = document.getElementById("item-1")
+    const event = dispatchTurboBeforeFrameRender(
+      frame,
+      buildNewFrame("items", '<div id="item-2" data-turbo-refresh-animate>Two</div>')
+    )
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(item.isConnected).toBe(false)
+    expect(recorder.types()).toEqual(["before-exit:item-1"])
+  })
+
+  it("animates enters and changes after the frame renders", () => {
+    dispatchTurboBeforeFrameRender(
+      frame,
+      buildNewFrame("items", `
+        <div id="item-1" data-turbo-refresh-animate>One</div>
+        <div id="item-2" data-turbo-refresh-animate>Two!</div>
+        <div id="item-3" data-turbo-refresh-animate>Three</div>
+      `)
+    )
+
+    // Simulate the morph
+    document.getElementById("item-2").textContent = "Two!"
+    frame.insertAdjacentHTML("beforeend", '<div id="item-3" data-turbo-refresh-animate>Three</div>')
+    dispatchTurboFrameRender(frame)
+
+    expect(recorder.types()).toEqual(["before-change:item-2", "before-enter:item-3"])
+  })
+
+  it("treats renderMethod morph as a refresh even without refresh=morph", () => {
+    frame.removeAttribute("refresh")
+    dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", ""), { renderMethod: "morph" })
+
+    expect(recorder.types()).toEqual(["before-exit:item-1", "before-exit:item-2"])
+  })
+
+  it("does not animate when the frame navigates to a new src", () => {
+    frame.setAttribute("src", "/items/other")
+    const event = dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", ""))
+
+    frame.insertAdjacentHTML("beforeend", '<div id="item-3" data-turbo-refresh-animate>Three</div>')
+    dispatchTurboFrameRender(frame)
+
+    expect(event.defaultPrevented).toBe(false)
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("does not animate frames without refresh=morph", () => {
+    frame.removeAttribute("refresh")
+    const event = dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", ""))
+
+    expect(event.defaultPrevented).toBe(false)
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  describe("data-turbo-refresh-preserve", () => {
+    let wrapper
+
+    beforeEach(() => {
+      wrapper = document.createElement("div")
+      wrapper.id = "form-wrapper"
+      wrapper.setAttribute("data-turbo-refresh-preserve", "")
+      frame.appendChild(wrapper)
+    })
+
+    it("protects preserved elements inside a refreshing frame", () => {
+      dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", frame.innerHTML))
+      const morphEvent = dispatchTurboBeforeMorphElement(wrapper, document.createElement("div"))
+      dispatchTurboFrameRender(frame)
+
+      expect(morphEvent.defaultPrevented).toBe(true)
+    })
+
+    it("stops protecting once the frame has rendered", () => {
+      dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", frame.innerHTML))
+      dispatchTurboFrameRender(frame)
+
+      const morphEvent = dispatchTurboBeforeMorphElement(wrapper, document.createElement("div"))
+      expect(morphEvent.defaultPrevented).toBe(false)
+    })
+
+    it("lets the submitter's wrapper morph", () => {
+      const form = document.createElement("form")
+      wrapper.appendChild(form)
+      dispatchTurboSubmitStart(form)
+
+      dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", frame.innerHTML))
+      const morphEvent = dispatchTurboBeforeMorphElement(wrapper, document.createElement("div"))
+      dispatchTurboFrameRender(frame)
+
+      expect(morphEvent.defaultPrevented).toBe(false)
+    })
+
+    it("does not protect preserved elements outside the refreshing frame", () => {
+      const outside = document.createElement("div")
+      outside.setAttribute("data-turbo-refresh-preserve", "")
+      document.body.appendChild(outside)
+
+      dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", frame.innerHTML))
+      const morphEvent = dispatchTurboBeforeMorphElement(outside, document.createElement("div"))
+      dispatchTurboFrameRender(frame)
+      outside.remove()
+
+      expect(morphEvent.defaultPrevented).toBe(false)
+    })
+  })
+})
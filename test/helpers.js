@@ -24,12 +24,12 @@ export function dispatchTurboVisit(url, action = "replace") {
   )
 }
 
-export function dispatchTurboBeforeRender(newBody) {
+export function dispatchTurboBeforeRender(newBody, resume = () => {}) {
   const event = new CustomEvent("turbo:before-render", {
     cancelable: true,
     detail: {
       newBody,
-      resume: () => {},
+      resume,
     },
   })
   document.dispatchEvent(event)
@@ -48,7 +48,7 @@ export function dispatchTurboBeforeMorphElement(currentEl, newEl) {
 }
 
 export function dispatchTurboRender() {
-  document.dispatchEvent(new CustomEvent("turbo:render"))
+  document.dispatchEvent(new CustomEvent("turbo:render", { detail: {} }))
 }
 
 export function dispatchTurboSubmitStart(formEl) {
@@ -58,11 +58,12 @@ export function dispatchTurboSubmitStart(formEl) {
   formEl.dispatchEvent(event)
 }
 
-export function dispatchTurboSubmitEnd(formEl, { contentType = "text/html" } = {}) {
+// `responseHTML` stands in for FetchResponse#responseHTML, the promise of the response body
+export function dispatchTurboSubmitEnd(formEl, { contentType = "text/html", responseHTML } = {}) {
   const event = new CustomEvent("turbo:submit-end", {
     bubbles: true,
     detail: {
-      fetchResponse: { contentType },
+      fetchResponse: { contentType, responseHTML },
     },
   })
   formEl.dispatchEvent(event)
@@ -81,9 +82,145 @@ export function dispatchTurboBeforeCache() {
   document.dispatchEvent(new CustomEvent("turbo:before-cache"))
 }
 
+// Turbo dispatches frame render events on the <turbo-frame> element
+export function dispatchTurboBeforeFrameRender(frameEl, newFrame, { renderMethod } = {}) {
+  const event = new CustomEvent("turbo:before-frame-render", {
+    bubbles: true,
+    cancelable: true,
+    detail: {
+      newFrame,
+      renderMethod,
+      resume: () => {},
+    },
+  })
+  frameEl.dispatchEvent(event)
+  return event
+}
+
+export function dispatchTurboFrameRender(frameEl) {
+  frameEl.dispatchEvent(new CustomEvent("turbo:frame-render", { bubbles: true, detail: {} }))
+}
+
+// Build a minimal newFrame for turbo:before-frame-render
+export function buildNewFrame(id, innerHTML) {
+  const frame = document.createElement("turbo-frame")
+  frame.id = id
+  frame.innerHTML = innerHTML
+  return frame
+}
+
+// Turbo dispatches this on the <turbo-stream> element before performing its
+// action. `render` stands in for Turbo's StreamElement.renderElement.
+export function dispatchTurboBeforeStreamRender(streamEl, render) {
+  const event = new CustomEvent("turbo:before-stream-render", {
+    bubbles: true,
+    cancelable: true,
+    detail: { newStream: streamEl, render },
+  })
+  streamEl.dispatchEvent(event)
+  return event
+}
+
+// Build a stand-in <turbo-stream> exposing the StreamElement properties the
+// library reads (action attribute, targetElements, templateContent). `target`
+// is { target: "id" } or { targets: "selector" }; like Turbo's, targetElements
+// looks them up in the document on every read.
+export function buildStream(action, { target, targets } = {}, templateHTML = "") {
+  const streamEl = document.createElement("turbo-stream")
+  streamEl.setAttribute("action", action)
+  if (target) streamEl.setAttribute("target", target)
+  if (targets) streamEl.setAttribute("targets", targets)
+  Object.defineProperty(streamEl, "targetElements", {
+    get() {
+      if (target) return [streamEl.ownerDocument.getElementById(target)].filter(Boolean)
+      if (targets) return Array.from(streamEl.ownerDocument.querySelectorAll(targets))
+      return []
+    },
+  })
+  Object.defineProperty(streamEl, "templateContent", {
+    get() {
+      const template = document.createElement("template")
+      template.innerHTML = templateHTML
+      return template.content
+    },
+  })
+  return streamEl
+}
+
+// Minimal versions of Turbo's stream actions, enough for the library's wrapper
+export function performStreamAction(streamEl) {
+  const action = streamEl.getAttribute("action")
+  for (const target of streamEl.targetElements) {
+    const content = () => streamEl.templateContent
+    if (action === "remove") target.remove()
+    if (action === "append") target.append(content())
+    if (action === "prepend") target.prepend(content())
+    if (action === "replace") target.replaceWith(content())
+    if (action === "update") target.replaceChildren(content())
+  }
+  return Promise.resolve()
+}
+
+export function setLocation(path) {
+  window.history.replaceState({}, "", path)
+}
+
+// Same-page refresh: snapshot into `html`, let `morph` stand in for Turbo's morph,
+// then finish the render. Returns the turbo:before-render event.
+export function refreshWith(morph, html = document.body.innerHTML) {
+  dispatchTurboVisit(window.location.href, "replace")
+  const event = dispatchTurboBeforeRender(buildNewBody(html))
+  morph()
+  dispatchTurboRender()
+  return event
+}
+
+// refreshWith, returning the ids that received a change animation
+export function changedByRefresh(morph) {
+  const recorder = recordEvents(["turbo-refresh:before-change"])
+  refreshWith(morph)
+  recorder.stop()
+  return recorder.events.map(event => event.target.id)
+}
+
+// Collects the named events dispatched on document; `types()` lists them as "before-enter:item-1"
+export function recordEvents(names) {
+  const events = []
+  const listener = (event) => events.push(event)
+  for (const name of names) document.addEventListener(name, listener)
+  return {
+    events,
+    types: () => events.map(event => `${event.type.replace("turbo-refresh:", "")}:${event.target.id}`),
+    stop: () => names.forEach(name => document.removeEventListener(name, listener)),
+  }
+}
+
 // Build a minimal newBody for turbo:before-render
 export function buildNewBody(innerHTML) {
   const body = document.createElement("body")
   body.innerHTML = innerHTML
   return body
 }
+
+// Stand-in for IntersectionObserver (jsdom has none); `reveal` reports an element
+// entering (or, with false, leaving) the viewport
+export class FakeIntersectionObserver {
+  static instances = []
+
+  constructor(callback, options = {}) {
+    this.callback = callback
+    this.root = options.root ?? null
+    this.observed = new Set()
+    FakeIntersectionObserver.instances.push(this)
+  }
+
+  observe(el) { this.observed.add(el) }
+  unobserve(el) { this.observed.delete(el) }
+  disconnect() { this.observed.clear() }
+
+  static reveal(el, isIntersecting = true) {
+    for (const observer of FakeIntersectionObserver.instances) {
+      if (observer.observed.has(el)) observer.callback([{ target: el, isIntersecting }])
+    }
+  }
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  dispatchTurboRender,
+  dispatchTurboBeforeCache,
+  setLocation,
+  recordEvents,
+  refreshWith,
+} from "./helpers.js"
+
+import { config } from "../index.js"
+
+function setVisibility(state) {
+  Object.defineProperty(document, "visibilityState", { configurable: true, get: () => state })
+  document.dispatchEvent(new Event("visibilitychange"))
+}
+
+describe("renders while the tab is hidden", () => {
+  let container
+  let recorder
+
+  beforeEach(() => {
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    container.innerHTML =
+      '<div id="item-1" data-turbo-refresh-animate>One</div>' +
+      '<div id="item-2" data-turbo-refresh-animate>Two</div>'
+    document.body.appendChild(container)
+
+    recorder = recordEvents([
+      "turbo-refresh:before-enter",
+      "turbo-refresh:before-change",
+      "turbo-refresh:before-exit",
+      "turbo-refresh:before-move",
+    ])
+    setVisibility("hidden")
+  })
+
+  afterEach(() => {
+    recorder.stop()
+    delete document.visibilityState
+    config.whileHidden = "catch-up"
+    dispatchTurboBeforeCache()
+    container.remove()
+    dispatchTurboRender()
+  })
+
+  const edit = (id, text) => () => { document.getElementById(id).textContent = text }
+
+  it("skips the animations while hidden", () => {
+    refreshWith(edit("item-1", "Uno"))
+
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("plays a catch-up pass once the tab is visible again", () => {
+    refreshWith(edit("item-1", "Uno"))
+    refreshWith(() => container.insertAdjacentHTML("beforeend", '<div id="item-3" data-turbo-refresh-animate>Three</div>'))
+
+    setVisibility("visible")
+
+    expect(recorder.types()).toEqual(["before-change:item-1", "before-enter:item-3"])
+  })
+
+  it("merges repeated changes into one, from the first old signature", () => {
+    refreshWith(edit("item-1", "Uno"))
+    refreshWith(edit("item-1", "Eins"))
+
+    setVisibility("visible")
+
+    expect(recorder.events).toHaveLength(1)
+    expect(recorder.events[0].detail).toMatchObject({ oldSignature: "t:One", newSignature: "t:Eins" })
+  })
+
+  it("keeps an element that entered and then changed an enter", () => {
+    refreshWith(() => container.insertAdjacentHTML("beforeend", '<div id="item-3" data-turbo-refresh-animate>Three</div>'))
+    refreshWith(edit("item-3", "Drei"))
+
+    setVisibility("visible")
+
+    expect(recorder.types()).toEqual(["before-enter:item-3"])
+  })
+
+  it("skips changes that were undone while hidden", () => {
+    refreshWith(edit("item-1", "Uno"))
+    refreshWith(edit("item-1", "One"))
+
+    setVisibility("visible")
+
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("skips elements that no longer exist", () => {
+    refreshWith(edit("item-1", "Uno"))
+    refreshWith(() => document.getElementById("item-1").remove(), '<div id="item-2" data-turbo-refresh-animate>Two</div>')
+
+    setVisibility("visible")
+
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("doesn't hold up the render with exit animations", () => {
+    const event = refreshWith(() => document.getElementById("item-2").remove(), '<div id="item-1" data-turbo-refresh-animate>One</div>')
+
+    expect(event.defaultPrevented).toBe(false)
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("plays moves from the position before the first hidden render", () => {
+    const el = document.createElement("div")
+    el.id = "item-4"
+    el.setAttribute("data-turbo-refresh-move", "")
+    container.appendChild(el)
+    let top = 0
+    el.getBoundingClientRect = () => ({ left: 0, top, width: 10, height: 10 })
+
+    refreshWith(() => { top = 40 })
+    refreshWith(() => { top = 80 })
+    setVisibility("visible")
+
+    expect(recorder.types()).toEqual(["before-move:item-4"])
+    expect(recorder.events[0].detail.oldRect.top).toBe(0)
+    expect(recorder.events[0].detail.newRect.top).toBe(80)
+  })
+
+  it("only skips with whileHidden \"skip\"", () => {
+    config.whileHidden = "skip"
+    refreshWith(edit("item-1", "Uno"))
+
+    setVisibility("visible")
+
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("animates as usual with whileHidden \"animate\"", () => {
+    config.whileHidden = "animate"
+
+    refreshWith(edit("item-1", "Uno"))
+
+    expect(recorder.types()).toEqual(["before-change:item-1"])
+  })
+
+  it("forgets what it missed when Turbo caches the page", () => {
+    refreshWith(edit("item-1", "Uno"))
+
+    dispatchTurboBeforeCache()
+    setVisibility("visible")
+
+    expect(recorder.events).toHaveLength(0)
+  })
+})
@@ -0,0 +1,194 @@
+import { describe, it, expect, afterEach, vi } from "vitest"
+import {
+  dispatchTurboVisit,
+  dispatchTurboBeforeRender,
+  dispatchTurboBeforeMorphElement,
+  dispatchTurboRender,
+  dispatchTurboBeforeCache,
+  buildNewBody,
+} from "./helpers.js"
+
+import { TurboRefreshAnimations, config, install, uninstall } from "../turbo-refresh-animations.js"
+
+function injectedStyles() {
+  return Array.from(document.head.querySelectorAll("style"))
+    .filter(style => style.textContent.includes("overflow-anchor"))
+}
+
+function protectedMorphPrevented() {
+  const el = document.createElement("div")
+  el.id = "form-wrapper"
+  el.setAttribute("data-turbo-refresh-preserve", "")
+  document.body.appendChild(el)
+
+  dispatchTurboVisit(window.location.href, "replace")
+  dispatchTurboBeforeRender(buildNewBody('<div id="form-wrapper"></div>'))
+  const morphEvent = dispatchTurboBeforeMorphElement(el, document.createElement("div"))
+  dispatchTurboRender()
+
+  el.remove()
+  return morphEvent.defaultPrevented
+}
+
+describe("install/uninstall", () => {
+  afterEach(() => {
+    uninstall()
+  })
+
+  it("does nothing until installed", () => {
+    expect(TurboRefreshAnimations.installed).toBe(false)
+    expect(injectedStyles()).toHaveLength(0)
+    expect(protectedMorphPrevented()).toBe(false)
+  })
+
+  it("adds listeners and the overflow-anchor style", () => {
+    install()
+
+    expect(TurboRefreshAnimations.installed).toBe(true)
+    expect(window.TurboRefreshAnimationsInstalled).toBe(true)
+    expect(injectedStyles()).toHaveLength(1)
+    expect(protectedMorphPrevented()).toBe(true)
+  })
+
+  it("is idempotent", () => {
+    install()
+    install()
+
+    expect(injectedStyles()).toHaveLength(1)
+  })
+
+  it("removes listeners and the style on uninstall", () => {
+    install()
+    uninstall()
+
+    expect(TurboRefreshAnimations.installed).toBe(false)
+    expect(window.TurboRefreshAnimationsInstalled).toBeUndefined()
+    expect(injectedStyles()).toHaveLength(0)
+    expect(protectedMorphPrevented()).toBe(false)
+  })
+
+  it("stops running animations on uninstall", () => {
+    vi.useFakeTimers()
+    const style = document.createElement("style")
+    style.textContent = ".turbo-refresh-enter { animation-name: fade; animation-duration: 300ms; }"
+    document.head.appendChild(style)
+    install()
+    dispatchTurboRender()
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate></div>'))
+    const el = document.createElement("div")
+    el.id = "item-1"
+    el.setAttribute("data-turbo-refresh-animate", "")
+    document.body.appendChild(el)
+    dispatchTurboRender()
+
+    const afterEnter = vi.fn()
+    el.addEventListener("turbo-refresh:after-enter", afterEnter)
+    uninstall()
+    vi.advanceTimersByTime(1000)
+
+    el.remove()
+    style.remove()
+    vi.useRealTimers()
+
+    expect(el.classList.contains("turbo-refresh-enter")).toBe(false)
+    expect(afterEnter).not.toHaveBeenCalled()
+  })
+
+  it("skips the style when injectStyle is false", () => {
+    install({ injectStyle: false })
+    expect(injectedStyles()).toHaveLength(0)
+
+    install({ injectStyle: true })
+    expect(injectedStyles()).toHaveLength(1)
+  })
+})
+
+describe("config", () => {
+  afterEach(() => {
+    uninstall()
+  })
+
+  it("exposes the same live object on TurboRefreshAnimations", () => {
+    expect(TurboRefreshAnimations.config).toBe(config)
+  })
+
+  it("merges nested options without dropping other defaults", () => {
+    install({ classNames: { change: "flash" }, move: { speed: 400 } })
+
+    expect(config.classNames).toEqual({
+      enter: "turbo-refresh-enter",
+      change: "flash",
+      exit: "turbo-refresh-exit",
+      containsChanges: "turbo-refresh-contains-changes",
+      stale: "turbo-refresh-stale",
+      unseen: "turbo-refresh-unseen",
+    })
+    expect(config.move.speed).toBe(400)
+    expect(config.move.easing).toBe("ease-out")
+  })
+
+  it("restores defaults on uninstall", () => {
+    install({ classNames: { enter: "fade-in" }, hideProgressBar: false })
+    uninstall()
+
+    expect(config.classNames.enter).toBe("turbo-refresh-enter")
+    expect(config.hideProgressBar).toBe(true)
+  })
+
+  it("uses configured class names for enter animations", () => {
+    install({ classNames: { enter: "fade-in" } })
+    dispatchTurboRender()
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-animate></div>'))
+
+    const el = document.createElement("div")
+    el.id = "item-1"
+    el.setAttribute("data-turbo-refresh-animate", "")
+    document.body.appendChild(el)
+
+    const added = []
+    const originalAdd = el.classList.add.bind(el.classList)
+    el.classList.add = (...classes) => {
+      added.push(...classes)
+      originalAdd(...classes)
+    }
+
+    dispatchTurboRender()
+    el.remove()
+
+    expect(added).toContain("fade-in")
+    expect(added).not.toContain("turbo-refresh-enter")
+  })
+
+  it("removes configured class names before caching", () => {
+    install({ classNames: { change: "flash" } })
+
+    const el = document.createElement("div")
+    el.setAttribute("data-turbo-refresh-animate", "")
+    el.classList.add("flash")
+    document.body.appendChild(el)
+
+    dispatchTurboBeforeCache()
+    el.remove()
+
+    expect(el.classList.contains("flash")).toBe(false)
+  })
+
+  it("respects hideProgressBar", () => {
+    let hidden = 0
+    window.Turbo = { navigator: { delegate: { adapter: { progressBar: { hide: () => { hidden += 1 } } } } } }
+
+    install({ hideProgressBar: false })
+    document.dispatchEvent(new CustomEvent("turbo:morph"))
+    expect(hidden).toBe(0)
+
+    config.hideProgressBar = true
+    document.dispatchEvent(new CustomEvent("turbo:morph"))
+    expect(hidden).toBe(1)
+
+    delete window.Turbo
+  })
+})
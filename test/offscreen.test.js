@@ -0,0 +1,270 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import {
+  dispatchTurboRender,
+  dispatchTurboBeforeCache,
+  FakeIntersectionObserver,
+  setLocation,
+  refreshWith,
+  changedByRefresh,
+} from "./helpers.js"
+
+import { config, jumpToNextOffscreenChange } from "../index.js"
+
+function placeAt(el, top, height = 50) {
+  el.getBoundingClientRect = () => ({ top, bottom: top + height, left: 0, right: 100, width: 100, height, x: 0, y: top })
+}
+
+describe("offscreen changes", () => {
+  let container
+  let indicator
+  let events
+  const onOffscreen = (event) => events.push(event.detail)
+
+  beforeEach(() => {
+    setLocation("/items")
+    dispatchTurboRender()
+    window.IntersectionObserver = FakeIntersectionObserver
+    FakeIntersectionObserver.instances = []
+    config.offscreen.enabled = true
+    events = []
+    document.addEventListener("turbo-refresh:offscreen", onOffscreen)
+
+    indicator = document.createElement("button")
+    indicator.setAttribute("data-turbo-refresh-offscreen-indicator", "")
+    indicator.hidden = true
+    indicator.innerHTML = '<span data-turbo-refresh-offscreen-count-text></span> new'
+    document.body.appendChild(indicator)
+
+    container = document.createElement("div")
+    container.innerHTML =
+      '<div id="item-1" data-turbo-refresh-animate>One</div>' +
+      '<div id="item-2" data-turbo-refresh-animate>Two</div>' +
+      '<div id="item-3" data-turbo-refresh-animate>Three</div>'
+    document.body.appendChild(container)
+    placeAt(document.getElementById("item-1"), -200)
+    placeAt(document.getElementById("item-2"), 100)
+    placeAt(document.getElementById("item-3"), 2000)
+  })
+
+  afterEach(() => {
+    dispatchTurboBeforeCache()
+    document.removeEventListener("turbo-refresh:offscreen", onOffscreen)
+    config.offscreen.enabled = false
+    delete window.IntersectionObserver
+    indicator.remove()
+    container.remove()
+    dispatchTurboRender()
+  })
+
+  function changeText(...ids) {
+    return () => ids.forEach(id => { document.getElementById(id).textContent += " (edited)" })
+  }
+
+  it("counts enters and changes outside the viewport", () => {
+    refreshWith(changeText("item-1", "item-2", "item-3"))
+
+    expect(events).toHaveLength(1)
+    expect(events[0]).toMatchObject({ count: 2, above: 1, below: 1 })
+    expect(events[0].elements.map(el => el.id)).toEqual(["item-1", "item-3"])
+    expect(indicator.hidden).toBe(false)
+    expect(indicator.getAttribute("data-turbo-refresh-offscreen-count")).toBe("2")
+    expect(indicator.textContent).toBe("2 new")
+  })
+
+  it("ignores visible changes", () => {
+    refreshWith(changeText("item-2"))
+
+    expect(events).toHaveLength(0)
+    expect(indicator.hidden).toBe(true)
+  })
+
+  it("does nothing unless enabled", () => {
+    config.offscreen.enabled = false
+
+    refreshWith(changeText("item-3"))
+
+    expect(events).toHaveLength(0)
+    expect(FakeIntersectionObserver.instances).toHaveLength(0)
+  })
+
+  it("replays the animation once the element scrolls into view", () => {
+    refreshWith(changeText("item-3"))
+    const item = document.getElementById("item-3")
+
+    const replayed = []
+    const listener = (event) => replayed.push(event.detail)
+    item.addEventListener("turbo-refresh:before-change", listener)
+    FakeIntersectionObserver.reveal(item)
+    item.removeEventListener("turbo-refresh:before-change", listener)
+
+    expect(replayed).toHaveLength(1)
+    expect(replayed[0].newSignature).toBe("t:Three (edited)")
+    expect(events.at(-1)).toMatchObject({ count: 0, elements: [] })
+    expect(indicator.hidden).toBe(true)
+  })
+
+  it("doesn't replay with config.offscreen.replay off", () => {
+    config.offscreen.replay = false
+    refreshWith(changeText("item-3"))
+    const item = document.getElementById("item-3")
+
+    const listener = vi.fn()
+    item.addEventListener("turbo-refresh:before-change", listener)
+    FakeIntersectionObserver.reveal(item)
+    item.removeEventListener("turbo-refresh:before-change", listener)
+    config.offscreen.replay = true
+
+    expect(listener).not.toHaveBeenCalled()
+    expect(events.at(-1).count).toBe(0)
+  })
+
+  it("keeps the count on the indicator across later refreshes", () => {
+    refreshWith(changeText("item-3"))
+    refreshWith(() => {
+      indicator.hidden = true
+      indicator.removeAttribute("data-turbo-refresh-offscreen-count")
+    })
+
+    expect(indicator.hidden).toBe(false)
+    expect(indicator.getAttribute("data-turbo-refresh-offscreen-count")).toBe("1")
+  })
+
+  it("checks against the nearest data-turbo-refresh-scroll-container", () => {
+    container.setAttribute("data-turbo-refresh-scroll-container", "")
+    placeAt(container, 0, 80)
+
+    refreshWith(changeText("item-2"))
+
+    expect(events[0].elements.map(el => el.id)).toEqual(["item-2"])
+    expect(FakeIntersectionObserver.instances[0].root).toBe(container)
+  })
+
+  describe("jumping to the next change", () => {
+    it("scrolls the first unseen change into view", () => {
+      refreshWith(changeText("item-3", "item-1"))
+      const scrolled = []
+      for (const id of ["item-1", "item-3"]) {
+        document.getElementById(id).scrollIntoView = () => scrolled.push(id)
+      }
+
+      expect(jumpToNextOffscreenChange()).toBe(document.getElementById("item-1"))
+      expect(scrolled).toEqual(["item-1"])
+    })
+
+    it("jumps when the indicator is clicked", () => {
+      refreshWith(changeText("item-3"))
+      const item = document.getElementById("item-3")
+      item.scrollIntoView = vi.fn()
+
+      indicator.querySelector("span").click()
+
+      expect(item.scrollIntoView).toHaveBeenCalled()
+    })
+
+    it("counts the change as seen without IntersectionObserver", () => {
+      delete window.IntersectionObserver
+      refreshWith(changeText("item-3"))
+
+      jumpToNextOffscreenChange()
+
+      expect(events.at(-1).count).toBe(0)
+      expect(indicator.hidden).toBe(true)
+    })
+
+    it("returns null when nothing is unseen", () => {
+      expect(jumpToNextOffscreenChange()).toBe(null)
+    })
+  })
+
+  it("forgets unseen changes before caching", () => {
+    refreshWith(changeText("item-3"))
+
+    dispatchTurboBeforeCache()
+
+    expect(indicator.hidden).toBe(true)
+    expect(jumpToNextOffscreenChange()).toBe(null)
+  })
+
+  describe("animating when visible", () => {
+    beforeEach(() => {
+      config.offscreen.enabled = false
+    })
+
+    afterEach(() => {
+      config.offscreen.animateWhenVisible = false
+    })
+
+    it("parks offscreen animations until the element becomes visible", () => {
+      container.setAttribute("data-turbo-refresh-animate-when-visible", "")
+
+      const changed = changedByRefresh(changeText("item-2", "item-3"))
+      const item = document.getElementById("item-3")
+
+      const played = []
+      const listener = (event) => played.push(event.detail.newSignature)
+      item.addEventListener("turbo-refresh:before-change", listener)
+      FakeIntersectionObserver.reveal(item)
+      FakeIntersectionObserver.reveal(item)
+      item.removeEventListener("turbo-refresh:before-change", listener)
+
+      expect(changed).toEqual(["item-2"])
+      expect(played).toEqual(["t:Three (edited)"])
+    })
+
+    it("applies to every element with config.offscreen.animateWhenVisible", () => {
+      config.offscreen.animateWhenVisible = true
+
+      const changed = changedByRefresh(changeText("item-1", "item-2"))
+
+      expect(changed).toEqual(["item-2"])
+    })
+
+    it("animates right away without IntersectionObserver", () => {
+      delete window.IntersectionObserver
+      config.offscreen.animateWhenVisible = true
+
+      const changed = changedByRefresh(changeText("item-3"))
+
+      expect(changed).toEqual(["item-3"])
+    })
+
+    it("drops parked animations on the next refresh", () => {
+      config.offscreen.animateWhenVisible = true
+      refreshWith(changeText("item-3"))
+      refreshWith(() => {})
+      const item = document.getElementById("item-3")
+
+      const listener = vi.fn()
+      item.addEventListener("turbo-refresh:before-change", listener)
+      FakeIntersectionObserver.reveal(item)
+      item.removeEventListener("turbo-refresh:before-change", listener)
+
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    it("drops parked animations before caching", () => {
+      config.offscreen.animateWhenVisible = true
+      refreshWith(changeText("item-3"))
+      const observer = FakeIntersectionObserver.instances[0]
+
+      dispatchTurboBeforeCache()
+
+      expect(observer.observed.size).toBe(0)
+    })
+
+    it("plays once without a replay when offscreen tracking is on too", () => {
+      config.offscreen.enabled = true
+      config.offscreen.animateWhenVisible = true
+      refreshWith(changeText("item-3"))
+      const item = document.getElementById("item-3")
+
+      const listener = vi.fn()
+      item.addEventListener("turbo-refresh:before-change", listener)
+      FakeIntersectionObserver.reveal(item)
+      item.removeEventListener("turbo-refresh:before-change", listener)
+
+      expect(listener).toHaveBeenCalledTimes(1)
+      expect(events.at(-1).count).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import {
+  dispatchTurboVisit,
+  dispatchTurboBeforeRender,
+  dispatchTurboRender,
+  dispatchTurboBeforeCache,
+  buildNewBody,
+  setLocation,
+} from "./helpers.js"
+
+import "../index.js"
+
+const ROWS = 2000
+
+// jsdom resolves every getComputedStyle() call against the whole document, which
+// would drown out the library's own cost, so each row reports the same animation.
+const animatedStyle = {
+  animationName: "flash",
+  animationDuration: "300ms",
+  animationDelay: "0s",
+  animationIterationCount: "1",
+  transitionProperty: "none",
+  transitionDuration: "0s",
+  transitionDelay: "0s",
+  paddingTop: "0px",
+  paddingBottom: "0px",
+  borderTopWidth: "0px",
+  borderBottomWidth: "0px",
+  marginTop: "0px",
+  marginBottom: "0px",
+  getPropertyValue: () => "",
+}
+
+// Records layout reads and DOM writes in order. A read right after a write is what
+// forces the browser to recalculate styles or layout, so those are counted as flushes.
+function traceLayout() {
+  const trace = { flushes: 0, reflows: 0, lastWasWrite: false }
+  const restores = []
+
+  const wrap = (target, name, kind) => {
+    const original = target[name]
+    target[name] = function (...args) {
+      if (kind === "read" && trace.lastWasWrite) trace.flushes++
+      trace.lastWasWrite = kind === "write"
+      return original.apply(this, args)
+    }
+    restores.push(() => { target[name] = original })
+  }
+  wrap(window, "getComputedStyle", "read")
+  wrap(Element.prototype, "getBoundingClientRect", "read")
+  wrap(DOMTokenList.prototype, "add", "write")
+  wrap(DOMTokenList.prototype, "remove", "write")
+  wrap(CSSStyleDeclaration.prototype, "setProperty", "write")
+
+  const offsetWidth = Object.getOwnPropertyDescriptor(HTMLElement.prototype, "offsetWidth")
+  Object.defineProperty(HTMLElement.prototype, "offsetWidth", {
+    configurable: true,
+    get() {
+      trace.reflows++
+      if (trace.lastWasWrite) trace.flushes++
+      trace.lastWasWrite = false
+      return offsetWidth.get.call(this)
+    },
+  })
+  restores.push(() => Object.defineProperty(HTMLElement.prototype, "offsetWidth", offsetWidth))
+
+  trace.stop = () => restores.forEach(restore => restore())
+  return trace
+}
+
+// These tests count forced layouts and style flushes rather than timing the pass:
+// jsdom does no real layout, so its timings say little about a browser and vary run to run.
+// Building and morphing thousands of rows is slow in jsdom, whatever the library does.
+describe("render pass over a large list", { timeout: 30000 }, () => {
+  const getComputedStyle = window.getComputedStyle
+  let list
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    setLocation("/items")
+    dispatchTurboRender()
+
+    window.getComputedStyle = () => animatedStyle
+
+    list = document.createElement("ul")
+    list.setAttribute("data-turbo-refresh-stagger", "1ms")
+    list.innerHTML = Array.from({ length: ROWS }, (_, i) =>
+      `<li id="row-${i}" data-turbo-refresh-animate>Row ${i}</li>`
+    ).join("")
+    document.body.appendChild(list)
+  })
+
+  afterEach(() => {
+    dispatchTurboBeforeCache()
+    list.remove()
+    dispatchTurboRender()
+    window.getComputedStyle = getComputedStyle
+    vi.useRealTimers()
+  })
+
+  function refreshChangingEveryRow(edition) {
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(document.body.innerHTML))
+    for (const row of list.querySelectorAll("li")) row.textContent = `${row.id} ${edition}`
+
+    const trace = traceLayout()
+    try {
+      dispatchTurboRender()
+    } finally {
+      trace.stop()
+    }
+    return trace
+  }
+
+  it(`measures and writes in batches over ${ROWS} changed rows`, () => {
+    const trace = refreshChangingEveryRow("edited")
+
+    expect(list.querySelectorAll(".turbo-refresh-change")).toHaveLength(ROWS)
+    expect(trace.reflows).toBe(0)
+    expect(trace.flushes).toBe(1)
+  })
+
+  it("restarts running classes with a single forced reflow", () => {
+    refreshChangingEveryRow("edited")
+    const trace = refreshChangingEveryRow("edited again")
+
+    expect(list.querySelectorAll(".turbo-refresh-change")).toHaveLength(ROWS)
+    expect(trace.reflows).toBe(1)
+    expect(trace.flushes).toBe(2)
+  })
+
+  it(`starts ${ROWS} expanding rows with a single forced reflow`, () => {
+    const rows = list.innerHTML.replaceAll("data-turbo-refresh-animate", "data-turbo-refresh-animate data-turbo-refresh-enter-expand")
+    list.innerHTML = ""
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(`<ul>${rows}</ul>`))
+    list.innerHTML = rows
+
+    const trace = traceLayout()
+    try {
+      dispatchTurboRender()
+    } finally {
+      trace.stop()
+    }
+
+    expect(list.querySelectorAll(".turbo-refresh-enter")).toHaveLength(ROWS)
+    expect(list.querySelector("li").style.transition).toContain("height")
+    expect(trace.reflows).toBe(1)
+  })
+
+  it("finishes every row's animation", () => {
+    refreshChangingEveryRow("edited")
+    vi.advanceTimersByTime(350 + ROWS)
+
+    expect(list.querySelectorAll(".turbo-refresh-change")).toHaveLength(0)
+  })
+})
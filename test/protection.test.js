@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
 // Import helpers FIRST so CSS.escape polyfill is in place before the library loads
 import {
   dispatchTurboVisit,
@@ -10,14 +10,19 @@ import {
   dispatchTurboClick,
   dispatchTurboBeforeCache,
   buildNewBody,
+  setLocation,
 } from "./helpers.js"
 
 // Import the library (installs event listeners on first import)
-import "../turbo-refresh-animations.js"
-
-function setLocation(path) {
-  window.history.replaceState({}, "", path)
-}
+import {
+  config,
+  acceptStale,
+  dismissStale,
+  registerPreserveCondition,
+  unregisterPreserveCondition,
+  releasePreserved,
+  markInitiator,
+} from "../index.js"
 
 function samePageRefreshSetup(newBody) {
   const url = window.location.href
@@ -210,6 +215,192 @@ describe("data-turbo-refresh-preserve protection", () => {
     })
   })
 
+  describe("correlating initiators per request", () => {
+    function preservedWrapper(id, child) {
+      const el = document.createElement("div")
+      el.id = id
+      el.setAttribute("data-turbo-refresh-preserve", "")
+      el.appendChild(child)
+      container.appendChild(el)
+      return el
+    }
+
+    function morphs(el) {
+      return !dispatchTurboBeforeMorphElement(el, document.createElement("div")).defaultPrevented
+    }
+
+    it("tracks concurrent submissions separately", () => {
+      const formA = document.createElement("form")
+      const formB = document.createElement("form")
+      const a = preservedWrapper("a", formA)
+      const b = preservedWrapper("b", formB)
+
+      dispatchTurboSubmitStart(formA)
+      dispatchTurboSubmitStart(formB)
+      dispatchTurboSubmitEnd(formA)
+
+      // A's redirect renders first; B is still in flight and stays an initiator
+      samePageRefreshSetup(buildNewBody('<div id="a"></div><div id="b"></div>'))
+      expect(morphs(a)).toBe(true)
+      expect(morphs(b)).toBe(true)
+      dispatchTurboRender()
+
+      dispatchTurboSubmitEnd(formB)
+      samePageRefreshSetup(buildNewBody('<div id="a"></div><div id="b"></div>'))
+      expect(morphs(a)).toBe(false)
+      expect(morphs(b)).toBe(true)
+      dispatchTurboRender()
+
+      samePageRefreshSetup(buildNewBody('<div id="a"></div><div id="b"></div>'))
+      expect(morphs(b)).toBe(false)
+    })
+
+    it("keys submissions by their fetch request", () => {
+      const form = document.createElement("form")
+      const el = preservedWrapper("a", form)
+      const first = { fetchRequest: {} }
+      const second = { fetchRequest: {} }
+      const submit = (name, formSubmission, detail = {}) =>
+        form.dispatchEvent(new CustomEvent(name, { bubbles: true, detail: { formSubmission, ...detail } }))
+
+      submit("turbo:submit-start", first)
+      submit("turbo:submit-start", second)
+      submit("turbo:submit-end", first, { fetchResponse: { contentType: "text/vnd.turbo-stream.html" } })
+
+      // The second submission is still pending, so the wrapper is still an initiator
+      samePageRefreshSetup(buildNewBody('<div id="a"></div>'))
+      expect(morphs(el)).toBe(true)
+    })
+
+    it("keeps a clicked link's wrapper as initiator however long the visit takes", () => {
+      vi.useFakeTimers()
+      const link = document.createElement("a")
+      link.href = "/items"
+      const el = preservedWrapper("a", link)
+
+      dispatchTurboClick(link, window.location.href)
+      dispatchTurboVisit(window.location.href, "replace")
+      vi.advanceTimersByTime(10_000)
+      dispatchTurboBeforeRender(buildNewBody('<div id="a"></div>'))
+
+      expect(morphs(el)).toBe(true)
+      vi.useRealTimers()
+    })
+
+    it("forgets clicks that didn't start a visit", () => {
+      vi.useFakeTimers()
+      const link = document.createElement("a")
+      link.href = "/items"
+      const el = preservedWrapper("a", link)
+
+      dispatchTurboClick(link, window.location.href)
+      vi.runAllTimers()
+      samePageRefreshSetup(buildNewBody('<div id="a"></div>'))
+
+      expect(morphs(el)).toBe(false)
+      vi.useRealTimers()
+    })
+
+    it("drops a click's wrapper when another visit replaces its visit", () => {
+      const link = document.createElement("a")
+      link.href = "/items"
+      const el = preservedWrapper("a", link)
+
+      dispatchTurboClick(link, window.location.href)
+      dispatchTurboVisit(window.location.href, "replace")
+      samePageRefreshSetup(buildNewBody('<div id="a"></div>'))
+
+      expect(morphs(el)).toBe(false)
+    })
+  })
+
+  describe("naming initiators explicitly", () => {
+    let row
+
+    beforeEach(() => {
+      row = document.createElement("div")
+      row.id = "row_5"
+      row.setAttribute("data-turbo-refresh-preserve", "")
+      row.innerHTML = "<span>Row</span>"
+      container.appendChild(row)
+    })
+
+    function rowMorphs() {
+      samePageRefreshSetup(buildNewBody('<div id="row_5"></div>'))
+      return !dispatchTurboBeforeMorphElement(row, document.createElement("div")).defaultPrevented
+    }
+
+    it("markInitiator lets the element morph through the next refresh only", () => {
+      markInitiator(row)
+
+      expect(rowMorphs()).toBe(true)
+      dispatchTurboRender()
+      expect(rowMorphs()).toBe(false)
+    })
+
+    it("markInitiator resolves descendants and selectors to the preserved element", () => {
+      markInitiator(row.querySelector("span"))
+      expect(rowMorphs()).toBe(true)
+      dispatchTurboRender()
+
+      markInitiator("#row_5")
+      expect(rowMorphs()).toBe(true)
+    })
+
+    it("honors data-turbo-refresh-initiator on forms outside the element", () => {
+      const form = document.createElement("form")
+      form.setAttribute("data-turbo-refresh-initiator", "#row_5")
+      container.appendChild(form)
+
+      dispatchTurboSubmitStart(form)
+
+      expect(rowMorphs()).toBe(true)
+    })
+
+    it("honors data-turbo-refresh-initiator on the submitter", () => {
+      const form = document.createElement("form")
+      const button = document.createElement("button")
+      button.setAttribute("data-turbo-refresh-initiator", "#row_5")
+      form.appendChild(button)
+      container.appendChild(form)
+
+      form.dispatchEvent(new CustomEvent("turbo:submit-start", {
+        bubbles: true,
+        detail: { formSubmission: { fetchRequest: {}, submitter: button } },
+      }))
+
+      expect(rowMorphs()).toBe(true)
+    })
+
+    it("honors data-turbo-refresh-initiator on links outside the element", () => {
+      const link = document.createElement("a")
+      link.href = "/items"
+      link.setAttribute("data-turbo-refresh-initiator", "#row_5")
+      container.appendChild(link)
+
+      dispatchTurboClick(link, window.location.href)
+
+      expect(link.dataset.turboAction).toBe("replace")
+      expect(rowMorphs()).toBe(true)
+    })
+
+    it("ignores invalid selectors", () => {
+      const form = document.createElement("form")
+      form.setAttribute("data-turbo-refresh-initiator", "[[")
+      container.appendChild(form)
+
+      dispatchTurboSubmitStart(form)
+
+      expect(rowMorphs()).toBe(false)
+    })
+
+    it("ignores invalid selectors passed to markInitiator", () => {
+      expect(() => markInitiator("[[")).not.toThrow()
+
+      expect(rowMorphs()).toBe(false)
+    })
+  })
+
   describe("during cross-page navigation", () => {
     it("does not protect permanent elements (not a same-page morph)", () => {
       const el = document.createElement("div")
@@ -273,6 +464,479 @@ describe("data-turbo-refresh-preserve protection", () => {
       expect(el.classList.contains("turbo-refresh-change")).toBe(false)
     })
   })
+
+  describe("conditional preserve values", () => {
+    let el
+
+    function wrapperWith(value, html = "") {
+      el = document.createElement("div")
+      el.id = "wrapper"
+      el.setAttribute("data-turbo-refresh-preserve", value)
+      el.innerHTML = html
+      container.appendChild(el)
+      return el
+    }
+
+    function morphDuringRefresh() {
+      samePageRefreshSetup(buildNewBody('<div id="wrapper"></div>'))
+      return dispatchTurboBeforeMorphElement(el, el.cloneNode(false))
+    }
+
+    afterEach(() => {
+      document.activeElement?.blur?.()
+      unregisterPreserveCondition("editing")
+    })
+
+    it('"focus" protects only while focus is inside', () => {
+      wrapperWith("focus", "<input>")
+      expect(morphDuringRefresh().defaultPrevented).toBe(false)
+
+      el.querySelector("input").focus()
+      expect(morphDuringRefresh().defaultPrevented).toBe(true)
+    })
+
+    it('"dirty" protects only while a field has unsaved edits', async () => {
+      wrapperWith("dirty", "<form><input></form>")
+      expect(morphDuringRefresh().defaultPrevented).toBe(false)
+
+      el.querySelector("input").dispatchEvent(new Event("input", { bubbles: true }))
+      expect(morphDuringRefresh().defaultPrevented).toBe(true)
+
+      el.querySelector("form").reset()
+      await new Promise(resolve => setTimeout(resolve))
+      expect(morphDuringRefresh().defaultPrevented).toBe(false)
+    })
+
+    it('"dirty" keeps protecting when the reset is canceled', async () => {
+      wrapperWith("dirty", "<form><input></form>")
+      const form = el.querySelector("form")
+      form.addEventListener("reset", (event) => event.preventDefault())
+      form.querySelector("input").value = "user edit"
+      form.querySelector("input").dispatchEvent(new Event("input", { bubbles: true }))
+
+      form.reset()
+      await new Promise(resolve => setTimeout(resolve))
+
+      expect(form.querySelector("input").value).toBe("user edit")
+      expect(morphDuringRefresh().defaultPrevented).toBe(true)
+    })
+
+    it('"open" protects only while something inside is open', () => {
+      wrapperWith("open", '<details><summary>More</summary></details><button aria-expanded="false"></button>')
+      expect(morphDuringRefresh().defaultPrevented).toBe(false)
+
+      el.querySelector("details").open = true
+      expect(morphDuringRefresh().defaultPrevented).toBe(true)
+
+      el.querySelector("details").open = false
+      el.querySelector("button").setAttribute("aria-expanded", "true")
+      expect(morphDuringRefresh().defaultPrevented).toBe(true)
+    })
+
+    it("protects while any listed condition holds", () => {
+      wrapperWith("focus open", "<details></details>")
+      el.querySelector("details").open = true
+
+      expect(morphDuringRefresh().defaultPrevented).toBe(true)
+    })
+
+    it("uses registered predicates", () => {
+      const predicate = vi.fn((wrapper) => wrapper.classList.contains("editing"))
+      registerPreserveCondition("editing", predicate)
+      wrapperWith("editing")
+
+      expect(morphDuringRefresh().defaultPrevented).toBe(false)
+      el.classList.add("editing")
+      expect(morphDuringRefresh().defaultPrevented).toBe(true)
+      expect(predicate).toHaveBeenCalledWith(el)
+    })
+
+    it("protects unconditionally for unrecognized values", () => {
+      wrapperWith("true")
+
+      expect(morphDuringRefresh().defaultPrevented).toBe(true)
+    })
+
+    it("combines with merge", () => {
+      wrapperWith("focus merge", "<input><textarea></textarea>")
+      const input = el.querySelector("input")
+      input.focus()
+      samePageRefreshSetup(buildNewBody('<div id="wrapper"></div>'))
+
+      expect(dispatchTurboBeforeMorphElement(el, el.cloneNode(false)).defaultPrevented).toBe(false)
+      expect(dispatchTurboBeforeMorphElement(input, input.cloneNode(false)).defaultPrevented).toBe(true)
+    })
+  })
+
+  describe("deferred updates for preserved elements", () => {
+    let el
+
+    beforeEach(() => {
+      vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+      document.activeElement?.blur?.()
+      config.preserve.idleTimeoutMs = null
+      vi.useRealTimers()
+    })
+
+    function wrapperWith(value, html) {
+      el = document.createElement("div")
+      el.id = "wrapper"
+      el.setAttribute("data-turbo-refresh-preserve", value)
+      el.innerHTML = html
+      container.appendChild(el)
+      return el
+    }
+
+    function protectedRefresh(html = "<p>Server copy</p>") {
+      const newEl = el.cloneNode(false)
+      newEl.innerHTML = html
+      samePageRefreshSetup(buildNewBody(newEl.outerHTML))
+      const morphEvent = dispatchTurboBeforeMorphElement(el, newEl)
+      dispatchTurboRender()
+      return morphEvent
+    }
+
+    it("applies the latest blocked copy on releasePreserved()", () => {
+      wrapperWith("", "<p>Mine</p>")
+      expect(protectedRefresh("<p>First</p>").defaultPrevented).toBe(true)
+      protectedRefresh("<p>Latest</p>")
+
+      expect(el.innerHTML).toBe("<p>Mine</p>")
+      expect(releasePreserved(el)).toBe(true)
+      expect(el.innerHTML).toBe("<p>Latest</p>")
+      expect(releasePreserved(el)).toBe(false)
+    })
+
+    it("applies it on a turbo-refresh:release event from inside", () => {
+      wrapperWith("", "<p><button>Close</button></p>")
+      protectedRefresh()
+
+      el.querySelector("button").dispatchEvent(new CustomEvent("turbo-refresh:release", { bubbles: true }))
+
+      expect(el.innerHTML).toBe("<p>Server copy</p>")
+    })
+
+    it("applies it after a form reset", () => {
+      wrapperWith("", "<form><input></form>")
+      protectedRefresh()
+
+      el.querySelector("form").reset()
+      expect(el.querySelector("form")).not.toBeNull()
+      vi.runAllTimers()
+
+      expect(el.innerHTML).toBe("<p>Server copy</p>")
+    })
+
+    it("does not apply it when the reset is canceled", () => {
+      wrapperWith("", "<form><input></form>")
+      protectedRefresh()
+      const form = el.querySelector("form")
+      form.addEventListener("reset", (event) => event.preventDefault())
+
+      form.reset()
+      vi.runAllTimers()
+
+      expect(el.querySelector("form")).toBe(form)
+    })
+
+    it("applies it when focus leaves a conditional element", () => {
+      wrapperWith("focus", "<input>")
+      el.querySelector("input").focus()
+      protectedRefresh()
+
+      el.querySelector("input").blur()
+      vi.runAllTimers()
+
+      expect(el.innerHTML).toBe("<p>Server copy</p>")
+    })
+
+    it("applies it when focus leaves an unconditional element without edits", () => {
+      wrapperWith("", "<input>")
+      el.querySelector("input").focus()
+      protectedRefresh()
+
+      el.querySelector("input").blur()
+      vi.runAllTimers()
+
+      expect(el.innerHTML).toBe("<p>Server copy</p>")
+    })
+
+    it("keeps unconditional elements with unsaved edits protected when focus leaves", () => {
+      wrapperWith("", "<input>")
+      el.querySelector("input").focus()
+      el.querySelector("input").dispatchEvent(new Event("input", { bubbles: true }))
+      protectedRefresh()
+
+      el.querySelector("input").blur()
+      vi.runAllTimers()
+
+      expect(el.querySelector("input")).not.toBeNull()
+    })
+
+    it("applies it after the idle timeout once the element is idle", () => {
+      config.preserve.idleTimeoutMs = 1000
+      wrapperWith("", "<input>")
+      const input = el.querySelector("input")
+      input.focus()
+      protectedRefresh()
+
+      vi.advanceTimersByTime(1000)
+      expect(el.contains(input)).toBe(true) // still focused
+
+      input.blur()
+      vi.advanceTimersByTime(1000)
+      expect(el.innerHTML).toBe("<p>Server copy</p>")
+    })
+
+    it("keeps dirty elements protected through the idle timeout", () => {
+      config.preserve.idleTimeoutMs = 1000
+      wrapperWith("", "<input>")
+      el.querySelector("input").dispatchEvent(new Event("input", { bubbles: true }))
+      protectedRefresh()
+
+      vi.advanceTimersByTime(3000)
+
+      expect(el.querySelector("input")).not.toBeNull()
+    })
+
+    it("restarts the idle timeout on edits", () => {
+      config.preserve.idleTimeoutMs = 1000
+      registerPreserveCondition("busy", (wrapper) => wrapper.classList.contains("busy"))
+      wrapperWith("busy", "<input>")
+      el.classList.add("busy")
+      protectedRefresh()
+      el.classList.remove("busy")
+
+      vi.advanceTimersByTime(600)
+      el.querySelector("input").dispatchEvent(new Event("input", { bubbles: true }))
+      vi.advanceTimersByTime(600)
+      expect(el.querySelector("input")).not.toBeNull()
+
+      vi.advanceTimersByTime(400)
+      expect(el.innerHTML).toBe("<p>Server copy</p>")
+      unregisterPreserveCondition("busy")
+    })
+
+    it("animates the change when the applied copy differs", () => {
+      wrapperWith("", "<p>Mine</p>")
+      el.setAttribute("data-turbo-refresh-animate", "")
+      protectedRefresh("<p>Theirs</p>")
+
+      const changes = []
+      const listener = (event) => changes.push(event.detail)
+      el.addEventListener("turbo-refresh:before-change", listener)
+      releasePreserved(el)
+      el.removeEventListener("turbo-refresh:before-change", listener)
+
+      expect(changes).toHaveLength(1)
+      expect(changes[0].oldSignature).toBe("t:Mine")
+      expect(changes[0].newSignature).toBe("t:Theirs")
+    })
+
+    it("drops the kept copy when the element initiates a refresh", () => {
+      wrapperWith("", "<form></form>")
+      protectedRefresh()
+
+      dispatchTurboSubmitStart(el.querySelector("form"))
+      expect(protectedRefresh("<p>Submitted</p>").defaultPrevented).toBe(false)
+
+      expect(releasePreserved(el)).toBe(false)
+    })
+  })
+
+  describe("stale preserved elements", () => {
+    let el
+
+    beforeEach(() => {
+      el = document.createElement("div")
+      el.id = "item-1"
+      el.setAttribute("data-turbo-refresh-preserve", "")
+      el.setAttribute("data-turbo-refresh-version", "v1")
+      el.innerHTML = '<input name="title" value="Mine">'
+      container.appendChild(el)
+    })
+
+    function refreshWithVersion(version, html = "<p>Theirs</p>") {
+      const newEl = document.createElement("div")
+      newEl.id = "item-1"
+      newEl.setAttribute("data-turbo-refresh-preserve", "")
+      newEl.setAttribute("data-turbo-refresh-version", version)
+      newEl.innerHTML = html
+      samePageRefreshSetup(buildNewBody(newEl.outerHTML))
+      dispatchTurboBeforeMorphElement(el, newEl)
+      dispatchTurboRender()
+    }
+
+    function recordStaleEvents() {
+      const events = []
+      const listener = (event) => events.push(event.detail)
+      document.addEventListener("turbo-refresh:stale", listener)
+      return { events, stop: () => document.removeEventListener("turbo-refresh:stale", listener) }
+    }
+
+    it("marks the element stale and keeps its content when the version changes", () => {
+      refreshWithVersion("v2")
+
+      expect(el.hasAttribute("data-turbo-refresh-stale")).toBe(true)
+      expect(el.classList.contains("turbo-refresh-stale")).toBe(true)
+      expect(el.querySelector("input")).not.toBeNull()
+    })
+
+    it("does not mark the element when the version is unchanged", () => {
+      refreshWithVersion("v1")
+
+      expect(el.hasAttribute("data-turbo-refresh-stale")).toBe(false)
+    })
+
+    it("dispatches turbo-refresh:stale relative to the version the user started from", () => {
+      const recorder = recordStaleEvents()
+      refreshWithVersion("v2")
+      refreshWithVersion("v3")
+      recorder.stop()
+
+      expect(recorder.events.map(({ oldVersion, newVersion }) => [oldVersion, newVersion])).toEqual([
+        ["v1", "v2"],
+        ["v1", "v3"],
+      ])
+      expect(recorder.events[0].element).toBe(el)
+    })
+
+    it("acceptStale applies the latest incoming copy", () => {
+      refreshWithVersion("v2", "<p>Older</p>")
+      refreshWithVersion("v3", "<p>Theirs</p>")
+
+      expect(acceptStale(el)).toBe(true)
+      expect(el.innerHTML).toBe("<p>Theirs</p>")
+      expect(el.getAttribute("data-turbo-refresh-version")).toBe("v3")
+      expect(el.hasAttribute("data-turbo-refresh-stale")).toBe(false)
+      expect(el.classList.contains("turbo-refresh-stale")).toBe(false)
+      expect(el.isConnected).toBe(true)
+    })
+
+    it("dismissStale keeps the user's copy and clears the mark", () => {
+      refreshWithVersion("v2")
+
+      expect(dismissStale(el)).toBe(true)
+      expect(el.querySelector("input")).not.toBeNull()
+      expect(el.hasAttribute("data-turbo-refresh-stale")).toBe(false)
+      expect(acceptStale(el)).toBe(false)
+    })
+
+    it("returns false for elements that aren't stale", () => {
+      expect(acceptStale(el)).toBe(false)
+      expect(dismissStale(el)).toBe(false)
+    })
+
+    it("clears the stale state on before-cache", () => {
+      refreshWithVersion("v2")
+      dispatchTurboBeforeCache()
+
+      expect(el.hasAttribute("data-turbo-refresh-stale")).toBe(false)
+      expect(acceptStale(el)).toBe(false)
+    })
+  })
+
+  describe('data-turbo-refresh-preserve="merge"', () => {
+    let wrapper
+    let title
+    let notes
+
+    beforeEach(() => {
+      wrapper = document.createElement("div")
+      wrapper.id = "edit-form"
+      wrapper.setAttribute("data-turbo-refresh-preserve", "merge")
+      wrapper.innerHTML = '<form><label>Title</label><input name="title"><textarea name="notes"></textarea></form>'
+      container.appendChild(wrapper)
+      title = wrapper.querySelector("input")
+      notes = wrapper.querySelector("textarea")
+    })
+
+    function edit(field, value) {
+      field.value = value
+      field.dispatchEvent(new Event("input", { bubbles: true }))
+    }
+
+    function morphDuringRefresh(el) {
+      return dispatchTurboBeforeMorphElement(el, el.cloneNode(false))
+    }
+
+    it("lets the wrapper morph during an external refresh", () => {
+      samePageRefreshSetup(buildNewBody('<div id="edit-form"></div>'))
+
+      expect(morphDuringRefresh(wrapper).defaultPrevented).toBe(false)
+    })
+
+    it("lets clean fields and labels morph", () => {
+      samePageRefreshSetup(buildNewBody('<div id="edit-form"></div>'))
+
+      expect(morphDuringRefresh(title).defaultPrevented).toBe(false)
+      expect(morphDuringRefresh(wrapper.querySelector("label")).defaultPrevented).toBe(false)
+    })
+
+    it("keeps fields the user edited", () => {
+      edit(notes, "my draft")
+      samePageRefreshSetup(buildNewBody('<div id="edit-form"></div>'))
+
+      expect(morphDuringRefresh(notes).defaultPrevented).toBe(true)
+      expect(morphDuringRefresh(title).defaultPrevented).toBe(false)
+    })
+
+    it("keeps the focused element", () => {
+      title.focus()
+      samePageRefreshSetup(buildNewBody('<div id="edit-form"></div>'))
+
+      expect(morphDuringRefresh(title).defaultPrevented).toBe(true)
+      title.blur()
+    })
+
+    it("treats fields as clean again after a form reset", async () => {
+      edit(notes, "my draft")
+      wrapper.querySelector("form").reset()
+      await new Promise(resolve => setTimeout(resolve))
+      samePageRefreshSetup(buildNewBody('<div id="edit-form"></div>'))
+
+      expect(morphDuringRefresh(notes).defaultPrevented).toBe(false)
+    })
+
+    it("keeps edited fields when the reset is canceled", async () => {
+      const form = wrapper.querySelector("form")
+      form.addEventListener("reset", (event) => event.preventDefault())
+      edit(notes, "my draft")
+      form.reset()
+      await new Promise(resolve => setTimeout(resolve))
+      samePageRefreshSetup(buildNewBody('<div id="edit-form"></div>'))
+
+      expect(notes.value).toBe("my draft")
+      expect(morphDuringRefresh(notes).defaultPrevented).toBe(true)
+    })
+
+    it("morphs edited fields when the wrapper initiated the refresh", () => {
+      edit(notes, "my draft")
+      dispatchTurboSubmitStart(wrapper.querySelector("form"))
+      samePageRefreshSetup(buildNewBody('<div id="edit-form"></div>'))
+
+      expect(morphDuringRefresh(wrapper).defaultPrevented).toBe(false)
+      expect(morphDuringRefresh(notes).defaultPrevented).toBe(false)
+    })
+
+    it("does not keep edited fields outside a refresh", () => {
+      edit(notes, "my draft")
+
+      expect(morphDuringRefresh(notes).defaultPrevented).toBe(false)
+    })
+
+    it("does not track edits outside preserved elements", () => {
+      const loose = document.createElement("input")
+      container.appendChild(loose)
+      edit(loose, "typed")
+      samePageRefreshSetup(buildNewBody('<div id="edit-form"></div>'))
+
+      expect(morphDuringRefresh(loose).defaultPrevented).toBe(false)
+    })
+  })
 })
 
 describe("turbo:before-cache cleanup", () => {
@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import {
+  dispatchTurboVisit,
+  dispatchTurboBeforeRender,
+  dispatchTurboRender,
+  buildNewBody,
+} from "./helpers.js"
+
+import { install, uninstall, setReducedMotion, isReducedMotion } from "../turbo-refresh-animations.js"
+
+function stubMatchMedia(matches) {
+  const listeners = new Set()
+  const query = {
+    matches,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    change(nextMatches) {
+      query.matches = nextMatches
+      listeners.forEach(listener => listener({ matches: nextMatches }))
+    },
+    listeners,
+  }
+  window.matchMedia = vi.fn(() => query)
+  return query
+}
+
+function enterClasses(attrs = "data-turbo-refresh-animate") {
+  dispatchTurboVisit(window.location.href, "replace")
+  dispatchTurboBeforeRender(buildNewBody(`<div id="item-1" ${attrs}></div>`))
+
+  const temp = document.createElement("div")
+  temp.innerHTML = `<div id="item-1" ${attrs}></div>`
+  const el = temp.firstChild
+  document.body.appendChild(el)
+
+  const added = []
+  const originalAdd = el.classList.add.bind(el.classList)
+  el.classList.add = (...classes) => {
+    added.push(...classes)
+    originalAdd(...classes)
+  }
+
+  dispatchTurboRender()
+  el.remove()
+  return added
+}
+
+describe("reduced motion", () => {
+  beforeEach(() => {
+    window.history.replaceState({}, "", "/items")
+  })
+
+  afterEach(() => {
+    uninstall()
+    delete window.matchMedia
+  })
+
+  it("follows prefers-reduced-motion by default", () => {
+    stubMatchMedia(true)
+    install()
+
+    expect(isReducedMotion()).toBe(true)
+    expect(enterClasses('data-turbo-refresh-animate data-turbo-refresh-enter="slideInDown"'))
+      .toEqual(["turbo-refresh-enter-reduced"])
+  })
+
+  it("uses normal classes when motion is allowed", () => {
+    stubMatchMedia(false)
+    install()
+
+    expect(isReducedMotion()).toBe(false)
+    expect(enterClasses()).toEqual(["turbo-refresh-enter"])
+  })
+
+  it("reacts to media query changes and reports them", () => {
+    const query = stubMatchMedia(false)
+    install()
+    const onChange = vi.fn()
+    document.addEventListener("turbo-refresh:reduced-motion-change", onChange)
+
+    query.change(true)
+
+    document.removeEventListener("turbo-refresh:reduced-motion-change", onChange)
+    expect(isReducedMotion()).toBe(true)
+    expect(onChange).toHaveBeenCalledTimes(1)
+    expect(onChange.mock.calls[0][0].detail).toEqual({ reducedMotion: true })
+  })
+
+  it("stops listening to the media query on uninstall", () => {
+    const query = stubMatchMedia(false)
+    install()
+    uninstall()
+
+    expect(query.listeners.size).toBe(0)
+  })
+
+  it("keeps the normal change highlight", () => {
+    stubMatchMedia(true)
+    install()
+    dispatchTurboRender()
+    const el = document.createElement("div")
+    el.id = "item-1"
+    el.setAttribute("data-turbo-refresh-animate", "")
+    el.textContent = "One"
+    document.body.appendChild(el)
+
+    const classNames = []
+    el.addEventListener("turbo-refresh:before-change", (event) => classNames.push(event.detail.className))
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody(document.body.innerHTML))
+    el.textContent = "Uno"
+    dispatchTurboRender()
+
+    el.remove()
+    expect(classNames).toEqual(["turbo-refresh-change"])
+  })
+
+  it("lets setReducedMotion override the system preference", () => {
+    stubMatchMedia(false)
+    install()
+
+    setReducedMotion(true)
+    expect(enterClasses()).toEqual(["turbo-refresh-enter-reduced"])
+
+    setReducedMotion("system")
+    expect(enterClasses()).toEqual(["turbo-refresh-enter"])
+  })
+
+  it("uses configured reduced classes and marks event details", () => {
+    stubMatchMedia(true)
+    install({ reducedMotionClassNames: { enter: "fade-in" } })
+    const details = []
+    const listener = (event) => details.push(event.detail)
+    document.addEventListener("turbo-refresh:before-enter", listener)
+
+    expect(enterClasses()).toEqual(["fade-in"])
+
+    document.removeEventListener("turbo-refresh:before-enter", listener)
+    expect(details[0].reducedMotion).toBe(true)
+  })
+
+  it("skips FLIP while motion is reduced", () => {
+    stubMatchMedia(true)
+    install()
+    dispatchTurboRender()
+
+    const el = document.createElement("div")
+    el.id = "item-1"
+    el.setAttribute("data-turbo-refresh-move", "")
+    document.body.appendChild(el)
+    let top = 0
+    el.getBoundingClientRect = () => ({ left: 0, top, width: 10, height: 10 })
+    const beforeMove = vi.fn()
+    document.addEventListener("turbo-refresh:before-move", beforeMove)
+
+    dispatchTurboVisit(window.location.href, "replace")
+    dispatchTurboBeforeRender(buildNewBody('<div id="item-1" data-turbo-refresh-move></div>'))
+    top = 40
+    dispatchTurboRender()
+
+    document.removeEventListener("turbo-refresh:before-move", beforeMove)
+    el.remove()
+    expect(beforeMove).not.toHaveBeenCalled()
+    expect(el.style.transition).toBe("")
+  })
+})
@@ -0,0 +1,259 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  dispatchTurboVisit,
+  dispatchTurboBeforeRender,
+  dispatchTurboRender,
+  dispatchTurboSubmitStart,
+  dispatchTurboSubmitEnd,
+  dispatchTurboClick,
+  dispatchTurboBeforeFrameRender,
+  dispatchTurboFrameRender,
+  dispatchTurboBeforeStreamRender,
+  buildNewBody,
+  buildNewFrame,
+  buildStream,
+  performStreamAction,
+  setLocation,
+} from "./helpers.js"
+
+import { markInitiator } from "../index.js"
+
+// Refreshes the page into `html`, returning the turbo:render detail and the
+// before-{enter,change,exit} events dispatched along the way.
+function refreshInto(html) {
+  const events = []
+  const listener = (event) => events.push(event)
+  const names = ["turbo-refresh:before-enter", "turbo-refresh:before-change", "turbo-refresh:before-exit"]
+  names.forEach(name => document.addEventListener(name, listener))
+
+  let renderDetail
+  const onRender = (event) => { renderDetail = event.detail }
+  document.addEventListener("turbo:render", onRender)
+
+  dispatchTurboVisit(window.location.href, "replace")
+  const beforeRender = dispatchTurboBeforeRender(buildNewBody(html))
+  document.body.innerHTML = html
+  dispatchTurboRender()
+
+  document.removeEventListener("turbo:render", onRender)
+  names.forEach(name => document.removeEventListener(name, listener))
+  return { events, beforeRender, renderDetail }
+}
+
+describe("refresh origin", () => {
+  beforeEach(() => {
+    setLocation("/items")
+    document.body.innerHTML = ""
+    dispatchTurboRender()
+  })
+
+  afterEach(async () => {
+    document.body.innerHTML = ""
+    dispatchTurboRender()
+    // Let stream-response windows close
+    await new Promise(resolve => setTimeout(resolve, 50))
+  })
+
+  describe("page refreshes", () => {
+    it("classifies a refresh nobody on the page started as external", () => {
+      const { events, beforeRender, renderDetail } = refreshInto('<div id="item-1" data-turbo-refresh-animate>New</div>')
+
+      expect(beforeRender.detail.refreshOrigin).toBe("external")
+      expect(renderDetail.refreshOrigin).toBe("external")
+      expect(events[0].detail.origin).toBe("external")
+    })
+
+    it("classifies the refresh after the user's own submission as self, wherever the form is", () => {
+      document.body.innerHTML = '<form id="new-item"></form>'
+      const form = document.getElementById("new-item")
+      dispatchTurboSubmitStart(form)
+      dispatchTurboSubmitEnd(form)
+
+      const { events, renderDetail } = refreshInto('<div id="item-1" data-turbo-refresh-animate>New</div>')
+
+      expect(renderDetail.refreshOrigin).toBe("self")
+      expect(events[0].detail.origin).toBe("self")
+    })
+
+    it("doesn't count submissions still waiting for a response", () => {
+      document.body.innerHTML = '<form id="new-item"></form>'
+      dispatchTurboSubmitStart(document.getElementById("new-item"))
+
+      const { renderDetail } = refreshInto("")
+
+      expect(renderDetail.refreshOrigin).toBe("external")
+    })
+
+    it("classifies the refresh a link click started as self", () => {
+      document.body.innerHTML = '<a id="reload" href="/items">Reload</a>'
+      dispatchTurboClick(document.getElementById("reload"), window.location.href)
+
+      const { renderDetail } = refreshInto("")
+
+      expect(renderDetail.refreshOrigin).toBe("self")
+    })
+
+    it("treats the next refresh as self after markInitiator() without an element", () => {
+      markInitiator()
+
+      const first = refreshInto("")
+      const second = refreshInto("")
+
+      expect(first.renderDetail.refreshOrigin).toBe("self")
+      expect(second.renderDetail.refreshOrigin).toBe("external")
+    })
+
+    it("sets no origin on renders that aren't refreshes", () => {
+      let renderDetail
+      const onRender = (event) => { renderDetail = event.detail }
+      document.addEventListener("turbo:render", onRender)
+
+      dispatchTurboVisit("http://localhost/other", "advance")
+      dispatchTurboBeforeRender(buildNewBody(""))
+      dispatchTurboRender()
+      document.removeEventListener("turbo:render", onRender)
+
+      expect(renderDetail.refreshOrigin).toBeUndefined()
+    })
+  })
+
+  describe("data-turbo-refresh-animate-on", () => {
+    const row = (animateOn, text) =>
+      `<div id="item-1" data-turbo-refresh-animate data-turbo-refresh-animate-on="${animateOn}">${text}</div>`
+
+    function submitOwnForm() {
+      const form = document.createElement("form")
+      document.body.appendChild(form)
+      dispatchTurboSubmitStart(form)
+      dispatchTurboSubmitEnd(form)
+    }
+
+    it("animates external refreshes only with external", () => {
+      document.body.innerHTML = row("external", "Old")
+      const external = refreshInto(row("external", "Changed elsewhere"))
+
+      submitOwnForm()
+      const self = refreshInto(row("external", "Changed here"))
+
+      expect(external.events.map(event => event.type)).toEqual(["turbo-refresh:before-change"])
+      expect(self.events).toHaveLength(0)
+    })
+
+    it("animates self-initiated refreshes only with self", () => {
+      document.body.innerHTML = row("self", "Old")
+      const external = refreshInto(row("self", "Changed elsewhere"))
+
+      submitOwnForm()
+      const self = refreshInto(row("self", "Changed here"))
+
+      expect(external.events).toHaveLength(0)
+      expect(self.events.map(event => event.type)).toEqual(["turbo-refresh:before-change"])
+    })
+
+    it("applies to exits", () => {
+      document.body.innerHTML = row("self", "Old")
+
+      const { events, beforeRender } = refreshInto("")
+
+      expect(events).toHaveLength(0)
+      expect(beforeRender.defaultPrevented).toBe(false)
+    })
+
+    it("ignores values other than self and external", () => {
+      document.body.innerHTML = row("sometimes", "Old")
+
+      const { events } = refreshInto(row("sometimes", "New"))
+
+      expect(events.map(event => event.type)).toEqual(["turbo-refresh:before-change"])
+    })
+  })
+
+  describe("frame refreshes", () => {
+    let frame
+
+    beforeEach(() => {
+      frame = document.createElement("turbo-frame")
+      frame.id = "items"
+      frame.setAttribute("src", "/items/frame")
+      frame.setAttribute("refresh", "morph")
+      frame.innerHTML = '<form id="frame-form"></form>'
+      document.body.appendChild(frame)
+      dispatchTurboFrameRender(frame)
+    })
+
+    function refreshFrame() {
+      let detail
+      const listener = (event) => { detail = event.detail }
+      frame.addEventListener("turbo:frame-render", listener)
+      dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", frame.innerHTML))
+      dispatchTurboFrameRender(frame)
+      frame.removeEventListener("turbo:frame-render", listener)
+      return detail.refreshOrigin
+    }
+
+    it("classifies a reload after a submission inside the frame as self", () => {
+      const form = document.getElementById("frame-form")
+      dispatchTurboSubmitStart(form)
+      dispatchTurboSubmitEnd(form)
+
+      expect(refreshFrame()).toBe("self")
+      expect(refreshFrame()).toBe("external")
+    })
+
+    it("doesn't count submissions outside the frame", () => {
+      const form = document.createElement("form")
+      document.body.appendChild(form)
+      dispatchTurboSubmitStart(form)
+      dispatchTurboSubmitEnd(form)
+
+      expect(refreshFrame()).toBe("external")
+    })
+  })
+
+  describe("stream actions", () => {
+    async function streamOrigin() {
+      document.body.innerHTML = '<ul id="items"></ul>'
+      let origin
+      const listener = (event) => { origin = event.detail.origin }
+      document.addEventListener("turbo-refresh:before-enter", listener)
+
+      const stream = buildStream("append", { target: "items" }, '<li id="item-1" data-turbo-refresh-animate>One</li>')
+      document.body.appendChild(stream)
+      const event = dispatchTurboBeforeStreamRender(stream, performStreamAction)
+      await event.detail.render(stream)
+
+      document.removeEventListener("turbo-refresh:before-enter", listener)
+      return origin
+    }
+
+    it("classifies broadcast streams as external", async () => {
+      expect(await streamOrigin()).toBe("external")
+    })
+
+    it("classifies the stream response to the user's submission as self", async () => {
+      const form = document.createElement("form")
+      document.body.appendChild(form)
+      dispatchTurboSubmitStart(form)
+      dispatchTurboSubmitEnd(form, { contentType: "text/vnd.turbo-stream.html; charset=utf-8" })
+
+      expect(await streamOrigin()).toBe("self")
+    })
+
+    it("keeps the submission's stream response self until its body has been read", async () => {
+      const form = document.createElement("form")
+      document.body.appendChild(form)
+      let finishBody
+      const responseHTML = new Promise(resolve => { finishBody = resolve })
+      dispatchTurboSubmitStart(form)
+      dispatchTurboSubmitEnd(form, { contentType: "text/vnd.turbo-stream.html", responseHTML })
+
+      // A slow body: several frames pass before Turbo can render the actions
+      await new Promise(resolve => setTimeout(resolve, 100))
+      expect(await streamOrigin()).toBe("self")
+
+      finishBody("<turbo-stream></turbo-stream>")
+      await new Promise(resolve => setTimeout(resolve, 100))
+      expect(await streamOrigin()).toBe("external")
+    })
+  })
+})
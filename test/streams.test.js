@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  dispatchTurboBeforeStreamRender,
+  buildStream,
+  performStreamAction,
+  recordEvents,
+} from "./helpers.js"
+
+import "../index.js"
+
+async function renderStream(streamEl) {
+  document.body.appendChild(streamEl)
+  const event = dispatchTurboBeforeStreamRender(streamEl, performStreamAction)
+  await event.detail.render(streamEl)
+  streamEl.remove()
+}
+
+describe("Turbo Stream animations", () => {
+  let list
+  let recorder
+
+  beforeEach(() => {
+    list = document.createElement("ul")
+    list.id = "items"
+    list.innerHTML = `
+      <li id="item-1" data-turbo-refresh-animate>One</li>
+      <li id="item-2" data-turbo-refresh-animate>Two</li>
+    `
+    document.body.appendChild(list)
+    recorder = recordEvents([
+      "turbo-refresh:before-enter",
+      "turbo-refresh:before-change",
+      "turbo-refresh:before-exit",
+    ])
+  })
+
+  afterEach(() => {
+    recorder.stop()
+    list.remove()
+  })
+
+  it("animates appended elements as enters", async () => {
+    await renderStream(buildStream("append", { target: "items" }, '<li id="item-3" data-turbo-refresh-animate>Three</li>'))
+
+    expect(document.getElementById("item-3")).toBeTruthy()
+    expect(recorder.types()).toEqual(["before-enter:item-3"])
+  })
+
+  it("animates prepended elements as enters", async () => {
+    await renderStream(buildStream("prepend", { target: "items" }, '<li id="item-0" data-turbo-refresh-animate>Zero</li>'))
+
+    expect(list.firstElementChild.id).toBe("item-0")
+    expect(recorder.types()).toEqual(["before-enter:item-0"])
+  })
+
+  it("ignores inserted elements without data-turbo-refresh-animate", async () => {
+    await renderStream(buildStream("append", { target: "items" }, '<li id="item-3">Three</li>'))
+
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("runs exit animations before removing", async () => {
+    const item = document.getElementById("item-1")
+    const connectedDuringExit = []
+    const listener = (event) => connectedDuringExit.push(event.target.isConnected)
+    document.addEventListener("turbo-refresh:before-exit", listener)
+
+    await renderStream(buildStream("remove", { target: "item-1" }))
+
+    document.removeEventListener("turbo-refresh:before-exit", listener)
+    expect(recorder.types()).toEqual(["before-exit:item-1"])
+    expect(connectedDuringExit).toEqual([true])
+    expect(item.isConnected).toBe(false)
+  })
+
+  it("detects changes on replace via signatures", async () => {
+    await renderStream(buildStream("replace", { target: "item-1" }, '<li id="item-1" data-turbo-refresh-animate>One!</li>'))
+
+    expect(recorder.types()).toEqual(["before-change:item-1"])
+    expect(recorder.events[0].detail).toMatchObject({ oldSignature: "t:One", newSignature: "t:One!" })
+  })
+
+  it("does not animate a replace that leaves the signature unchanged", async () => {
+    await renderStream(buildStream("replace", { target: "item-1" }, '<li id="item-1" data-turbo-refresh-animate>  One </li>'))
+
+    expect(recorder.events).toHaveLength(0)
+  })
+
+  it("replaces a target with a different id after its exit", async () => {
+    list.insertAdjacentHTML("beforeend", '<li id="new_item" data-turbo-refresh-animate>New item form</li>')
+
+    await renderStream(buildStream("replace", { target: "new_item" }, '<li id="item-3" data-turbo-refresh-animate>Three</li>'))
+
+    expect(document.getElementById("new_item")).toBeNull()
+    expect(list.lastElementChild.id).toBe("item-3")
+    expect(recorder.types()).toEqual(["before-exit:new_item", "before-enter:item-3"])
+  })
+
+  it("replaces every target matched by a targets selector", async () => {
+    await renderStream(buildStream("replace", { targets: "#items li" }, '<li class="placeholder">Archived</li>'))
+
+    expect(Array.from(list.children, el => el.className)).toEqual(["placeholder", "placeholder"])
+    expect(recorder.types()).toEqual(["before-exit:item-1", "before-exit:item-2"])
+  })
+
+  it("animates exits, enters and changes inside an updated target", async () => {
+    await renderStream(buildStream("update", { target: "items" }, `
+      <li id="item-2" data-turbo-refresh-animate>Two (edited)</li>
+      <li id="item-3" data-turbo-refresh-animate>Three</li>
+    `))
+
+    expect(recorder.types()).toEqual([
+      "before-exit:item-1",
+      "before-change:item-2",
+      "before-enter:item-3",
+    ])
+  })
+
+  it("passes other actions straight through", async () => {
+    let rendered = 0
+    const streamEl = buildStream("refresh")
+    document.body.appendChild(streamEl)
+    const event = dispatchTurboBeforeStreamRender(streamEl, () => { rendered += 1 })
+    await event.detail.render(streamEl)
+    streamEl.remove()
+
+    expect(rendered).toBe(1)
+    expect(recorder.events).toHaveLength(0)
+  })
+})
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest"
+import {
+  dispatchTurboVisit,
+  dispatchTurboBeforeRender,
+  dispatchTurboRender,
+  dispatchTurboBeforeFrameRender,
+  dispatchTurboFrameRender,
+  buildNewBody,
+  buildNewFrame,
+  setLocation,
+  refreshWith,
+} from "./helpers.js"
+
+import "../index.js"
+
+describe("keeping UI state across refresh morphs", () => {
+  let container
+
+  beforeEach(() => {
+    setLocation("/items")
+    dispatchTurboRender()
+
+    container = document.createElement("div")
+    document.body.appendChild(container)
+  })
+
+  afterEach(() => {
+    container.remove()
+    dispatchTurboRender()
+  })
+
+  describe("data-turbo-refresh-keep-scroll", () => {
+    it("restores the scroll position after the morph", () => {
+      container.innerHTML = '<div id="panel" data-turbo-refresh-keep-scroll><p>Old</p></div>'
+      const panel = document.getElementById("panel")
+      panel.scrollTop = 120
+      panel.scrollLeft = 30
+
+      refreshWith(() => {
+        panel.innerHTML = "<p>New</p>"
+        panel.scrollTop = 0
+        panel.scrollLeft = 0
+      })
+
+      expect(panel.scrollTop).toBe(120)
+      expect(panel.scrollLeft).toBe(30)
+      expect(panel.textContent).toBe("New")
+    })
+
+    it("restores by id when the morph replaced the element", () => {
+      container.innerHTML = '<div id="panel" data-turbo-refresh-keep-scroll></div>'
+      document.getElementById("panel").scrollTop = 80
+
+      refreshWith(() => {
+        container.innerHTML = '<div id="panel" data-turbo-refresh-keep-scroll></div>'
+      })
+
+      expect(document.getElementById("panel").scrollTop).toBe(80)
+    })
+
+    it("does not restore across navigations to other pages", () => {
+      container.innerHTML = '<div id="panel" data-turbo-refresh-keep-scroll></div>'
+      const panel = document.getElementById("panel")
+      panel.scrollTop = 80
+
+      dispatchTurboVisit("http://localhost/other", "advance")
+      dispatchTurboBeforeRender(buildNewBody(""))
+      panel.scrollTop = 0
+      dispatchTurboRender()
+
+      expect(panel.scrollTop).toBe(0)
+    })
+  })
+
+  describe("data-turbo-refresh-keep-attributes", () => {
+    it("keeps listed attributes while the content updates", () => {
+      container.innerHTML =
+        '<details id="more" data-turbo-refresh-keep-attributes="open"><summary>Old</summary></details>'
+      const details = document.getElementById("more")
+      details.open = true
+
+      refreshWith(() => {
+        details.removeAttribute("open")
+        details.querySelector("summary").textContent = "New"
+      })
+
+      expect(details.open).toBe(true)
+      expect(details.textContent).toBe("New")
+    })
+
+    it("keeps attributes absent when they were absent", () => {
+      container.innerHTML =
+        '<button id="toggle" data-turbo-refresh-keep-attributes="aria-expanded, aria-pressed" aria-expanded="false"></button>'
+      const button = document.getElementById("toggle")
+
+      refreshWith(() => {
+        button.setAttribute("aria-expanded", "true")
+        button.setAttribute("aria-pressed", "true")
+      })
+
+      expect(button.getAttribute("aria-expanded")).toBe("false")
+      expect(button.hasAttribute("aria-pressed")).toBe(false)
+    })
+
+    it("keeps class tokens with class:name and lets other classes update", () => {
+      container.innerHTML =
+        '<a id="tab-2" class="tab active" data-turbo-refresh-keep-attributes="class:active"></a>' +
+        '<a id="tab-1" class="tab" data-turbo-refresh-keep-attributes="class:active"></a>'
+      const tab1 = document.getElementById("tab-1")
+      const tab2 = document.getElementById("tab-2")
+
+      refreshWith(() => {
+        tab1.className = "tab active badge"
+        tab2.className = "tab badge"
+      })
+
+      expect(tab1.className).toBe("tab badge")
+      expect(tab2.className).toBe("tab badge active")
+    })
+  })
+
+  describe("frame refreshes", () => {
+    let frame
+
+    beforeEach(() => {
+      frame = document.createElement("turbo-frame")
+      frame.id = "items"
+      frame.setAttribute("src", "/items/frame")
+      frame.setAttribute("refresh", "morph")
+      frame.innerHTML = '<div id="list" data-turbo-refresh-keep-scroll></div>'
+      document.body.appendChild(frame)
+      dispatchTurboFrameRender(frame)
+    })
+
+    afterEach(() => {
+      frame.remove()
+    })
+
+    it("restores state inside the frame", () => {
+      const list = document.getElementById("list")
+      list.scrollTop = 50
+
+      dispatchTurboBeforeFrameRender(frame, buildNewFrame("items", frame.innerHTML))
+      list.scrollTop = 0
+      dispatchTurboFrameRender(frame)
+
+      expect(list.scrollTop).toBe(50)
+    })
+  })
+})
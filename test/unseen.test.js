@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest"
+import {
+  dispatchTurboRender,
+  dispatchTurboBeforeCache,
+  dispatchTurboSubmitStart,
+  dispatchTurboSubmitEnd,
+  FakeIntersectionObserver,
+  setLocation,
+  refreshWith,
+} from "./helpers.js"
+
+import { config } from "../index.js"
+
+describe("unseen markers", () => {
+  let container
+  let item
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    setLocation("/items")
+    dispatchTurboRender()
+    window.IntersectionObserver = FakeIntersectionObserver
+    FakeIntersectionObserver.instances = []
+
+    container = document.createElement("div")
+    container.setAttribute("data-turbo-refresh-mark-unseen", "")
+    container.innerHTML = '<div id="item-1" data-turbo-refresh-animate>One</div>'
+    document.body.appendChild(container)
+    item = document.getElementById("item-1")
+  })
+
+  afterEach(() => {
+    dispatchTurboBeforeCache()
+    delete window.IntersectionObserver
+    container.remove()
+    dispatchTurboRender()
+    vi.useRealTimers()
+  })
+
+  const isUnseen = (el) => el.classList.contains("turbo-refresh-unseen")
+
+  it("marks changed elements unseen", () => {
+    refreshWith(() => { item.textContent = "Uno" })
+
+    expect(isUnseen(item)).toBe(true)
+  })
+
+  it("marks entered elements unseen", () => {
+    refreshWith(() => container.insertAdjacentHTML("beforeend", '<div id="item-2" data-turbo-refresh-animate>Two</div>'))
+
+    expect(isUnseen(document.getElementById("item-2"))).toBe(true)
+    expect(isUnseen(item)).toBe(false)
+  })
+
+  it("doesn't mark the user's own edits", () => {
+    const form = document.createElement("form")
+    container.appendChild(form)
+    dispatchTurboSubmitStart(form)
+    dispatchTurboSubmitEnd(form)
+
+    refreshWith(() => { item.textContent = "Uno" })
+
+    expect(isUnseen(item)).toBe(false)
+  })
+
+  it("doesn't mark elements kept from animating", () => {
+    item.setAttribute("data-turbo-refresh-animate", "enter")
+
+    refreshWith(() => { item.textContent = "Uno" })
+
+    expect(isUnseen(item)).toBe(false)
+  })
+
+  it("does nothing without the opt-in", () => {
+    container.removeAttribute("data-turbo-refresh-mark-unseen")
+
+    refreshWith(() => { item.textContent = "Uno" })
+
+    expect(isUnseen(item)).toBe(false)
+  })
+
+  it("applies to every element with config.unseen.enabled", () => {
+    container.removeAttribute("data-turbo-refresh-mark-unseen")
+    config.unseen.enabled = true
+
+    refreshWith(() => { item.textContent = "Uno" })
+    config.unseen.enabled = false
+
+    expect(isUnseen(item)).toBe(true)
+  })
+
+  it("clears after the dwell time in view and dispatches turbo-refresh:seen", () => {
+    refreshWith(() => { item.textContent = "Uno" })
+    const seen = vi.fn()
+    item.addEventListener("turbo-refresh:seen", seen)
+
+    FakeIntersectionObserver.reveal(item)
+    vi.advanceTimersByTime(999)
+    expect(isUnseen(item)).toBe(true)
+
+    vi.advanceTimersByTime(1)
+    item.removeEventListener("turbo-refresh:seen", seen)
+
+    expect(isUnseen(item)).toBe(false)
+    expect(seen).toHaveBeenCalledTimes(1)
+  })
+
+  it("restarts the dwell time when the element leaves the viewport", () => {
+    config.unseen.dwellMs = 500
+    refreshWith(() => { item.textContent = "Uno" })
+
+    FakeIntersectionObserver.reveal(item)
+    vi.advanceTimersByTime(400)
+    FakeIntersectionObserver.reveal(item, false)
+    vi.advanceTimersByTime(400)
+    expect(isUnseen(item)).toBe(true)
+
+    FakeIntersectionObserver.reveal(item)
+    vi.advanceTimersByTime(500)
+    config.unseen.dwellMs = 1000
+
+    expect(isUnseen(item)).toBe(false)
+  })
+
+  it("clears on interaction inside the element", () => {
+    item.innerHTML = "<button>Open</button>"
+    refreshWith(() => { item.querySelector("button").textContent = "Opened" })
+
+    item.querySelector("button").dispatchEvent(new Event("pointerdown", { bubbles: true }))
+
+    expect(isUnseen(item)).toBe(false)
+  })
+
+  it("survives later morphs of the element", () => {
+    refreshWith(() => { item.textContent = "Uno" })
+
+    refreshWith(() => { item.className = "" })
+
+    expect(isUnseen(item)).toBe(true)
+  })
+
+  it("doesn't count the restored marker as a change of a watched class", () => {
+    item.setAttribute("data-turbo-refresh-watch", "class")
+    refreshWith(() => { item.textContent = "Uno" })
+    vi.advanceTimersByTime(1000)
+
+    const changed = vi.fn()
+    item.addEventListener("turbo-refresh:before-change", changed)
+    refreshWith(() => { item.className = "" })
+    item.removeEventListener("turbo-refresh:before-change", changed)
+
+    expect(changed).not.toHaveBeenCalled()
+  })
+
+  it("carries the marker to an element the render replaced by id", () => {
+    refreshWith(() => { item.textContent = "Uno" })
+
+    refreshWith(() => {
+      container.innerHTML = '<div id="item-1" data-turbo-refresh-animate>Uno</div>'
+    })
+
+    expect(isUnseen(document.getElementById("item-1"))).toBe(true)
+  })
+
+  it("drops the markers before caching", () => {
+    refreshWith(() => { item.textContent = "Uno" })
+
+    dispatchTurboBeforeCache()
+
+    expect(isUnseen(item)).toBe(false)
+  })
+})
@@ -3,72 +3,606 @@
 
 const canInstall = typeof window !== "undefined" && typeof document !== "undefined"
 
-if (canInstall && !window.TurboRefreshAnimationsInstalled) {
-  window.TurboRefreshAnimationsInstalled = true
+// ========== CONFIGURATION ==========
+// Global defaults, shared by every element. Per-element data attributes and the
+// --turbo-refresh-move-* CSS custom properties still take precedence. The object
+// is live: mutate it directly, or pass overrides to install().
+
+function defaultConfig() {
+  return {
+    // Default animation classes (overridden per element by data-turbo-refresh-{type})
+    classNames: {
+      enter: "turbo-refresh-enter",
+      change: "turbo-refresh-change",
+      exit: "turbo-refresh-exit",
+      // On a data-turbo-refresh-change-granular element while its changed fields animate
+      containsChanges: "turbo-refresh-contains-changes",
+      // On a preserved element whose version changed while it was protected
+      stale: "turbo-refresh-stale",
+      // On an entered or changed element until the user has seen it
+      unseen: "turbo-refresh-unseen"
+    },
+    // FLIP defaults (overridden per element by --turbo-refresh-move-* custom properties)
+    move: {
+      speed: 800, // px/s
+      duration: null, // e.g. "500ms"; fixed duration, overrides speed
+      easing: "ease-out",
+      minDurationMs: 150
+    },
+    // "wait" defers the render until exits finish; "ghost" lets it run right away and
+    // animates detached clones instead (per element: data-turbo-refresh-exit-mode)
+    exitMode: "wait",
+    // Height collapse after exits / expand during enters (data-turbo-refresh-exit-collapse,
+    // data-turbo-refresh-enter-expand); an attribute value like "400ms" overrides the duration
+    collapse: {
+      duration: "250ms",
+      easing: "ease"
+    },
+    // Preserved elements take the server's latest copy after this long without edits
+    // once idle (see isIdle); null waits for a reset, release or blur instead
+    preserve: {
+      idleTimeoutMs: null
+    },
+    // Track enters and changes outside the viewport (or their scroll container), count
+    // them in the indicator element and replay them once they scroll into view
+    offscreen: {
+      enabled: false,
+      indicator: "[data-turbo-refresh-offscreen-indicator]",
+      replay: true,
+      // Hold enter and change animations of offscreen elements until they first
+      // become visible (per element: data-turbo-refresh-animate-when-visible)
+      animateWhenVisible: false
+    },
+    // Mark entered and changed elements unseen until they've been in view for dwellMs
+    // or interacted with (per element: data-turbo-refresh-mark-unseen)
+    unseen: {
+      enabled: false,
+      dwellMs: 1000
+    },
+    // While the tab is hidden: "catch-up" skips animations and plays what changed once
+    // it's visible again, "skip" only skips them, "animate" plays them regardless
+    whileHidden: "catch-up",
+    // "system" follows prefers-reduced-motion; true/false force it (see setReducedMotion)
+    reducedMotion: "system",
+    // Classes used instead of the normal ones while motion is reduced. Unstyled, they
+    // finish instantly; style them as cross-fades. null keeps the normal class, so
+    // changes keep their (usually motionless) highlight.
+    reducedMotionClassNames: {
+      enter: "turbo-refresh-enter-reduced",
+      change: null,
+      exit: "turbo-refresh-exit-reduced"
+    },
+    // Hide the Turbo progress bar during morphs (keeps it for regular navigation)
+    hideProgressBar: true,
+    // Inject the functional overflow-anchor rule for animated elements
+    injectStyle: true
+  }
+}
+
+const config = defaultConfig()
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype
+}
+
+function mergeConfig(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeConfig(target[key], value)
+    } else {
+      target[key] = value
+    }
+  }
+  return target
+}
+
+function resetConfig() {
+  for (const key of Object.keys(config)) delete config[key]
+  Object.assign(config, defaultConfig())
+}
+
+let installed = false
+let injectedStyle = null
 
 // Prevent browser scroll anchoring from following reordered elements. Without
 // this, morphs that move an element upward in the DOM cause the viewport to
 // scroll with it. Users can override this in their own stylesheet if needed.
-const style = document.createElement("style")
-style.textContent = "[data-turbo-refresh-animate] { overflow-anchor: none; }"
-document.head.appendChild(style)
+function syncInjectedStyle() {
+  if (config.injectStyle && !injectedStyle) {
+    injectedStyle = document.createElement("style")
+    injectedStyle.textContent = "[data-turbo-refresh-animate] { overflow-anchor: none; }"
+    document.head.appendChild(injectedStyle)
+  } else if (!config.injectStyle && injectedStyle) {
+    injectedStyle.remove()
+    injectedStyle = null
+  }
+}
+
+// ========== REDUCED MOTION ==========
+// While motion is reduced, enter and exit use config.reducedMotionClassNames
+// (ignoring per-element classes and wa: effects), changes keep their normal class
+// unless a reduced one is configured, and FLIP is skipped.
+
+let reducedMotionQuery = null
+let systemPrefersReducedMotion = false
+let lastReducedMotion = false
 
-let lastRenderedPathname = window.location.pathname
+function isReducedMotion() {
+  if (config.reducedMotion === true) return true
+  if (config.reducedMotion === false) return false
+  return systemPrefersReducedMotion
+}
+
+function notifyReducedMotionChange() {
+  const reducedMotion = isReducedMotion()
+  if (reducedMotion === lastReducedMotion) return
+
+  lastReducedMotion = reducedMotion
+  document.dispatchEvent(new CustomEvent("turbo-refresh:reduced-motion-change", { detail: { reducedMotion } }))
+}
+
+function onReducedMotionQueryChange(event) {
+  systemPrefersReducedMotion = event.matches
+  notifyReducedMotionChange()
+}
+
+// Runtime switch for in-app accessibility settings: true, false, or "system"
+function setReducedMotion(value) {
+  config.reducedMotion = value
+  if (installed) notifyReducedMotionChange()
+}
+
+function watchReducedMotionQuery() {
+  reducedMotionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)") || null
+  systemPrefersReducedMotion = reducedMotionQuery?.matches || false
+  reducedMotionQuery?.addEventListener?.("change", onReducedMotionQueryChange)
+  lastReducedMotion = isReducedMotion()
+}
+
+function unwatchReducedMotionQuery() {
+  reducedMotionQuery?.removeEventListener?.("change", onReducedMotionQueryChange)
+  reducedMotionQuery = null
+  systemPrefersReducedMotion = false
+  lastReducedMotion = false
+}
+
+let lastRenderedPathname = canInstall ? window.location.pathname : null
 let pendingVisitPathname = null
 let pendingVisitIsReplace = false
-let shouldAnimateAfterRender = false
-let signaturesBefore = new Map()
-let rectsBefore = new Map()
+// The page refresh being rendered → { signatures, rects, fields, uiState, origin }
+let pageRefresh = null
 const animationClassCleanupTimers = new WeakMap()
 
 // ========== ELEMENT PRESERVATION ==========
 // Preserve elements with data-turbo-refresh-preserve during same-page refresh morphs
 // ("page refreshes"). The initiating element (form submit / link click inside it) is
 // allowed to morph so user-intended updates apply.
+//
+// data-turbo-refresh-preserve="merge" protects less: the element morphs, and only
+// the form fields the user has edited (plus the focused element) keep their state,
+// so clean fields, selects and labels pick up the server's values.
+//
+// Condition names in the value ("focus", "dirty", "open", or one registered with
+// registerPreserveCondition) protect only while one of them holds, e.g.
+// data-turbo-refresh-preserve="focus dirty" or "open merge".
+//
+// A protected element whose data-turbo-refresh-version moves on becomes stale: it
+// gets data-turbo-refresh-stale and config.classNames.stale, and the incoming copy
+// is kept until acceptStale() applies it or dismissStale() drops it.
+//
+// Every protected element keeps the latest incoming copy and takes it once it stops
+// needing protection: on a form reset inside it, a turbo-refresh:release event (or
+// releasePreserved()), focus leaving it once its conditions have lapsed, or after
+// config.preserve.idleTimeoutMs without edits.
+
+const FORM_FIELD_SELECTOR = "input, textarea, select"
+
+// Initiators are tracked per request, so concurrent submissions and slow responses
+// each keep their own wrappers:
+// - Submissions are keyed by their Turbo FetchRequest (turbo:submit-start and
+//   turbo:submit-end share it) and stay initiators until the render that follows
+//   them. A Turbo Stream response renders no page, so it drops its entry.
+// - A link click is matched to the turbo:visit Turbo starts for it in the same task,
+//   and that visit's wrappers stay initiators until it renders or another visit
+//   replaces it.
+// - markInitiator() covers programmatic visits and submissions until the next render.
+// A form, submitter or link outside a wrapper can name the wrappers it updates with
+// data-turbo-refresh-initiator="#row_5" (any selector).
+//
+// The same tracking classifies every refresh by origin: "self" when the user's own
+// submission, link click or markInitiator() call led to it, "external" otherwise
+// (broadcast refreshes, polling, other tabs). Submissions and clicks count even
+// outside any wrapper.
+
+// Submission key → { form, wrappers, settled } (settled once turbo:submit-end arrived)
+const submittingInitiators = new Map()
+// Clicks still waiting for their turbo:visit → [{ wrappers, visitKey }]
+let clickedInitiators = []
+let clickedInitiatorsClearTimer = null
+// Wrappers whose link click started the current visit
+let visitingInitiators = new Set()
+// Whether a link click started the current visit
+let visitIsClicked = false
+// Wrappers passed to markInitiator()
+let markedInitiators = new Set()
+// markInitiator() was called without an element
+let refreshIsMarked = false
+// Stream responses to the user's own submissions still being applied
+let ownStreamResponses = 0
+
+function submissionKey(event) {
+  const formSubmission = event.detail?.formSubmission
+  return formSubmission?.fetchRequest || formSubmission || event.target
+}
+
+function preservedWrapperFor(el) {
+  return el.closest("[data-turbo-refresh-preserve]") || el
+}
+
+// The wrappers an action on `sources` (form and submitter, or link) updates: the one
+// containing it, plus those named by data-turbo-refresh-initiator.
+function initiatorWrappersFor(...sources) {
+  const wrappers = new Set()
+  for (const source of sources) {
+    if (!source?.closest) continue
+
+    const wrapper = source.closest("[data-turbo-refresh-preserve]")
+    if (wrapper) wrappers.add(wrapper)
+
+    const selector = source.getAttribute("data-turbo-refresh-initiator")
+    if (selector) elementsMatching(selector).forEach(el => wrappers.add(preservedWrapperFor(el)))
+  }
+  return wrappers
+}
+
+function elementsMatching(selector) {
+  try {
+    return document.querySelectorAll(selector)
+  } catch {
+    // Invalid selector: name nothing
+    return []
+  }
+}
+
+// Treats `element` (or the preserved element containing it) as the initiator of the
+// next refresh that renders it, for visits and submissions the library can't see
+// start: Turbo.visit() calls, fetch-driven refreshes, forms outside the wrapper.
+// Without an element, only marks the next refresh as self-initiated.
+function markInitiator(element) {
+  if (element === undefined) {
+    refreshIsMarked = true
+    return
+  }
+
+  const elements = typeof element === "string" ? elementsMatching(element) : [element]
+  for (const el of elements) {
+    if (el) markedInitiators.add(preservedWrapperFor(el))
+  }
+}
+
+function isInitiator(wrapper) {
+  if (visitingInitiators.has(wrapper) || markedInitiators.has(wrapper)) return true
+  for (const entry of submittingInitiators.values()) {
+    if (entry.wrappers.has(wrapper)) return true
+  }
+  return false
+}
+
+function clearClickedInitiators() {
+  clickedInitiators = []
+  window.clearTimeout(clickedInitiatorsClearTimer)
+  clickedInitiatorsClearTimer = null
+}
+
+// After a render: its visit's wrappers, marked wrappers and the settled submissions
+// it showed are done. Pass a frame to only clear the initiators inside it.
+function clearRenderedInitiators(frame = null) {
+  const rendered = el => !el.isConnected || frame === null || frame.contains(el)
+
+  for (const [key, entry] of submittingInitiators) {
+    for (const wrapper of entry.wrappers) {
+      if (!wrapper.isConnected || (entry.settled && rendered(wrapper))) entry.wrappers.delete(wrapper)
+    }
+    if (entry.settled && rendered(entry.form)) submittingInitiators.delete(key)
+  }
+  for (const initiators of [visitingInitiators, markedInitiators]) {
+    for (const wrapper of initiators) {
+      if (rendered(wrapper)) initiators.delete(wrapper)
+    }
+  }
+  if (frame === null) visitIsClicked = false
+  refreshIsMarked = false
+}
+
+// "self" or "external" for the render about to replace `frame`'s contents (null: the page).
+function refreshOriginFor(frame = null) {
+  const covers = el => frame === null || frame.contains(el)
+
+  if (refreshIsMarked || (frame === null && visitIsClicked)) return "self"
+  for (const entry of submittingInitiators.values()) {
+    if (entry.settled && covers(entry.form)) return "self"
+  }
+  for (const wrapper of markedInitiators) {
+    if (covers(wrapper)) return "self"
+  }
+  return "external"
+}
+
+// Turbo applies a stream response once its body is read, which can finish well after
+// turbo:submit-end, and renders each action after the next repaint. Stream actions
+// rendered until then count as the submission's own.
+function trackOwnStreamResponse(fetchResponse) {
+  ownStreamResponses++
+  const done = () => window.setTimeout(() => { ownStreamResponses = Math.max(0, ownStreamResponses - 1) })
+  const afterRepaint = () => {
+    if (document.visibilityState === "hidden" || typeof window.requestAnimationFrame !== "function") {
+      done()
+    } else {
+      window.requestAnimationFrame(done)
+    }
+  }
+
+  let body
+  try {
+    body = Promise.resolve(fetchResponse?.responseHTML)
+  } catch {
+    body = Promise.resolve()
+  }
+  body.catch(() => {}).then(afterRepaint)
+}
+
+function clearInitiators() {
+  submittingInitiators.clear()
+  clearClickedInitiators()
+  visitingInitiators = new Set()
+  visitIsClicked = false
+  markedInitiators = new Set()
+  refreshIsMarked = false
+  ownStreamResponses = 0
+}
+
+// Form fields edited since they were last rendered or reset
+let dirtyFields = new WeakSet()
+
+function onFieldInput(event) {
+  const field = event.target
+  const wrapper = field.matches?.(FORM_FIELD_SELECTOR) && field.closest("[data-turbo-refresh-preserve]")
+  if (!wrapper) return
+
+  dirtyFields.add(field)
+  if (idleReleaseTimers.has(wrapper)) scheduleIdleRelease(wrapper)
+}
+
+function onFormReset(event) {
+  const form = event.target
+  const wrapper = form.closest("[data-turbo-refresh-preserve]")
+  if (!wrapper) return
+
+  // Let the reset finish (unless canceled) before treating the fields as clean and
+  // swapping in the server's copy
+  window.setTimeout(() => {
+    if (event.defaultPrevented) return
+    clearDirtyFields(form)
+    if (deferredUpdates.has(wrapper)) applyDeferredUpdate(wrapper)
+  })
+}
+
+function clearDirtyFields(root) {
+  root.querySelectorAll(FORM_FIELD_SELECTOR).forEach(field => dirtyFields.delete(field))
+}
+
+const OPEN_SELECTOR = "[open], [aria-expanded='true']"
+
+function containsOpenElement(el) {
+  if (el.matches(OPEN_SELECTOR) || el.querySelector(OPEN_SELECTOR)) return true
+  try {
+    return el.matches(":popover-open") || el.querySelector(":popover-open") !== null
+  } catch {
+    return false // :popover-open unsupported
+  }
+}
+
+const builtInPreserveConditions = {
+  focus: el => el.contains(document.activeElement),
+  dirty: el => Array.from(el.querySelectorAll(FORM_FIELD_SELECTOR)).some(field => dirtyFields.has(field)),
+  open: containsOpenElement
+}
+
+const registeredPreserveConditions = new Map()
+
+function registerPreserveCondition(name, predicate) {
+  registeredPreserveConditions.set(name, predicate)
+}
+
+function unregisterPreserveCondition(name) {
+  registeredPreserveConditions.delete(name)
+}
+
+// Unknown names (including Rails' "true") are ignored, so they protect unconditionally.
+function preserveOptionsFor(el) {
+  const conditions = []
+  let merge = false
+  for (const name of parseNameList(el.getAttribute("data-turbo-refresh-preserve"))) {
+    if (name === "merge") {
+      merge = true
+      continue
+    }
+    const condition = registeredPreserveConditions.get(name) || builtInPreserveConditions[name]
+    if (condition) conditions.push(condition)
+  }
+  return { merge, conditions }
+}
+
+function isMergePreserve(el) {
+  return preserveOptionsFor(el).merge
+}
+
+// Protected element → the latest incoming copy of it
+let deferredUpdates = new WeakMap()
+// Protected element → its idle timeout (while config.preserve.idleTimeoutMs is set)
+const idleReleaseTimers = new Map()
+
+function deferUpdate(el, newEl) {
+  deferredUpdates.set(el, newEl.cloneNode(true))
+  scheduleIdleRelease(el)
+}
+
+function clearDeferredUpdate(el) {
+  deferredUpdates.delete(el)
+  window.clearTimeout(idleReleaseTimers.get(el))
+  idleReleaseTimers.delete(el)
+}
+
+function scheduleIdleRelease(el) {
+  window.clearTimeout(idleReleaseTimers.get(el))
+  idleReleaseTimers.delete(el)
+
+  const timeoutMs = config.preserve.idleTimeoutMs
+  if (timeoutMs === null || timeoutMs === undefined) return
+
+  idleReleaseTimers.set(el, window.setTimeout(() => {
+    idleReleaseTimers.delete(el)
+    if (!el.isConnected) return
+    if (isIdle(el)) {
+      applyDeferredUpdate(el)
+    } else {
+      scheduleIdleRelease(el)
+    }
+  }, timeoutMs))
+}
+
+// Conditional elements are idle once no condition holds; unconditional ones once
+// they have neither focus nor unsaved edits.
+function isIdle(el) {
+  const { conditions } = preserveOptionsFor(el)
+  if (conditions.length > 0) return !conditions.some(condition => condition(el))
+  return !builtInPreserveConditions.focus(el) && !builtInPreserveConditions.dirty(el)
+}
+
+function applyDeferredUpdate(el) {
+  const newEl = deferredUpdates.get(el)
+  if (!newEl) return false
+
+  clearDeferredUpdate(el)
+  clearStale(el)
+  applyIncomingElement(el, newEl)
+  return true
+}
+
+// Applies the latest server copy a preserved element missed while protected.
+// Returns false if it has none.
+function releasePreserved(el) {
+  return applyDeferredUpdate(el)
+}
+
+function onRelease(event) {
+  const wrapper = event.target.closest?.("[data-turbo-refresh-preserve]")
+  if (wrapper) applyDeferredUpdate(wrapper)
+}
+
+function onPreservedFocusOut(event) {
+  const wrapper = event.target.closest?.("[data-turbo-refresh-preserve]")
+  if (!wrapper || !deferredUpdates.has(wrapper) || wrapper.contains(event.relatedTarget)) return
+
+  // Once focus has settled: a conditional element applies it when no condition holds
+  // anymore, an unconditional one when it has no unsaved edits
+  window.setTimeout(() => {
+    if (isIdle(wrapper)) applyDeferredUpdate(wrapper)
+  })
+}
+
+// Stale element → { oldVersion, newVersion }
+let staleUpdates = new WeakMap()
+
+function markStale(el, oldVersion, newVersion) {
+  const update = {
+    // Versions are reported relative to the one the user started from
+    oldVersion: staleUpdates.get(el)?.oldVersion ?? oldVersion,
+    newVersion
+  }
+  staleUpdates.set(el, update)
+  el.setAttribute("data-turbo-refresh-stale", "")
+  el.classList.add(config.classNames.stale)
+  dispatchLifecycleEvent(el, "stale", { element: el, oldVersion: update.oldVersion, newVersion })
+}
 
-let submittingPermanentEl = null
-let pendingVisitingPermanentEl = null
-let pendingVisitingPermanentUrl = null
-let pendingVisitingPermanentAtMs = 0
-let pendingVisitingPermanentClearTimer = null
-let visitingPermanentEl = null
+function clearStale(el) {
+  staleUpdates.delete(el)
+  el.removeAttribute("data-turbo-refresh-stale")
+  el.classList.remove(config.classNames.stale)
+}
 
-function clearPendingVisitingPermanent() {
-  pendingVisitingPermanentEl = null
-  pendingVisitingPermanentUrl = null
-  pendingVisitingPermanentAtMs = 0
+// Replaces `el`'s attributes and children with the incoming copy, keeping the
+// element itself (and anything attached to it). Animates a change if it differs.
+function applyIncomingElement(el, newEl) {
+  const oldSignature = meaningfulUpdateSignature(el)
 
-  if (pendingVisitingPermanentClearTimer) {
-    window.clearTimeout(pendingVisitingPermanentClearTimer)
-    pendingVisitingPermanentClearTimer = null
+  for (const { name } of Array.from(el.attributes)) {
+    if (!newEl.hasAttribute(name)) el.removeAttribute(name)
+  }
+  for (const { name, value } of Array.from(newEl.attributes)) {
+    el.setAttribute(name, value)
   }
+  el.replaceChildren(...newEl.cloneNode(true).childNodes)
+  clearDirtyFields(el)
+
+  const newSignature = meaningfulUpdateSignature(el)
+  if (oldSignature !== newSignature) applyAnimation(el, "change", { oldSignature, newSignature })
+}
+
+// Replaces a stale element with the server's latest copy. Returns false if it isn't stale.
+function acceptStale(el) {
+  if (!staleUpdates.has(el)) return false
+  return applyDeferredUpdate(el)
+}
+
+// Keeps the user's copy and clears the stale state. Returns false if it isn't stale.
+function dismissStale(el) {
+  if (!staleUpdates.has(el)) return false
+
+  clearStale(el)
+  clearDeferredUpdate(el)
+  return true
+}
+
+function clearDeferredUpdates() {
+  for (const timer of idleReleaseTimers.values()) window.clearTimeout(timer)
+  idleReleaseTimers.clear()
+  deferredUpdates = new WeakMap()
 }
 
 function hideTurboProgressBar() {
+  if (!config.hideProgressBar) return
+
   const progressBar = window.Turbo?.navigator?.delegate?.adapter?.progressBar
   progressBar?.hide?.()
 }
 
-document.addEventListener("turbo:morph", hideTurboProgressBar)
+function onSubmitStart(event) {
+  const wrappers = initiatorWrappersFor(event.target, event.detail?.formSubmission?.submitter)
+  submittingInitiators.set(submissionKey(event), { form: event.target, wrappers, settled: false })
+}
 
-document.addEventListener("turbo:submit-start", (event) => {
-  const wrapper = event.target.closest("[data-turbo-refresh-preserve]")
-  submittingPermanentEl = wrapper || null
-})
+function onSubmitEnd(event) {
+  const key = submissionKey(event)
+  const entry = submittingInitiators.get(key)
+  if (!entry) return
 
-document.addEventListener("turbo:submit-end", (event) => {
   const contentType = event.detail?.fetchResponse?.contentType || ""
   if (contentType.startsWith("text/vnd.turbo-stream.html")) {
-    submittingPermanentEl = null
+    submittingInitiators.delete(key)
+    trackOwnStreamResponse(event.detail.fetchResponse)
+  } else {
+    entry.settled = true
   }
-})
+}
 
-document.addEventListener("turbo:click", (event) => {
-  const wrapper = event.target.closest("[data-turbo-refresh-preserve]")
+function onClick(event) {
   const link = event.target.closest("a[href]")
   const clickUrl = event.detail?.url || link?.href || null
+  const wrappers = link ? initiatorWrappersFor(link) : new Set()
 
-  if (!wrapper || !link || !clickUrl) return
+  if (!link || !clickUrl) return
 
   const samePage = visitKeyForUrl(clickUrl) === visitKeyForUrl(window.location.href)
   const turboDisabled = link.getAttribute("data-turbo") === "false"
@@ -89,72 +623,112 @@ document.addEventListener("turbo:click", (event) => {
     }
   }
 
-  if (samePage && clickHasAnchor && !turboDisabled && !hasTurboAction && !hasTurboMethod && !hasTurboStream && target !== "_blank") {
+  if (wrappers.size > 0 && samePage && clickHasAnchor && !turboDisabled && !hasTurboAction && !hasTurboMethod && !hasTurboStream && target !== "_blank") {
     event.preventDefault()
     return
   }
 
-  pendingVisitingPermanentEl = wrapper
-  pendingVisitingPermanentUrl = clickUrl
-  pendingVisitingPermanentAtMs = Date.now()
-
-  if (pendingVisitingPermanentClearTimer) {
-    window.clearTimeout(pendingVisitingPermanentClearTimer)
-  }
-  pendingVisitingPermanentClearTimer = window.setTimeout(clearPendingVisitingPermanent, 2000)
+  // Turbo starts the visit synchronously; a click without one (canceled, or handled by
+  // a frame) is forgotten once this task ends
+  clickedInitiators.push({ wrappers, visitKey: visitKeyForUrl(clickUrl) })
+  if (!clickedInitiatorsClearTimer) clickedInitiatorsClearTimer = window.setTimeout(clearClickedInitiators)
 
-  if (samePage && !turboDisabled && !hasTurboAction && !hasTurboMethod && !hasTurboStream && target !== "_blank") {
+  if (wrappers.size > 0 && samePage && !turboDisabled && !hasTurboAction && !hasTurboMethod && !hasTurboStream && target !== "_blank") {
     link.dataset.turboAction = "replace"
   }
-})
+}
 
-document.addEventListener("turbo:visit", (event) => {
+function onVisit(event) {
   pendingVisitPathname = pathnameForUrl(event.detail.url)
   pendingVisitIsReplace = event.detail.action === "replace"
 
-  const ageMs = Date.now() - pendingVisitingPermanentAtMs
-  const pendingKey = visitKeyForUrl(pendingVisitingPermanentUrl)
+  // A new visit replaces (cancels) the previous one, and with it its initiators
   const visitKey = visitKeyForUrl(event.detail.url)
-  const urlsMatch = pendingKey && visitKey && pendingKey === visitKey
-  visitingPermanentEl = ageMs >= 0 && ageMs < 2000 && urlsMatch ? pendingVisitingPermanentEl : null
-  clearPendingVisitingPermanent()
-})
+  const clicks = clickedInitiators.filter(click => visitKey && click.visitKey === visitKey)
+  visitingInitiators = new Set(clicks.flatMap(click => [...click.wrappers]))
+  visitIsClicked = clicks.length > 0
+  clearClickedInitiators()
+}
 
 function clearPendingVisit() {
   pendingVisitPathname = null
   pendingVisitIsReplace = false
 }
 
-document.addEventListener("turbo:before-cache", () => {
+// Stops every animation still running: class timers, Web Animations, collapse/expand,
+// ghost exits and FLIP. None of them dispatch after-* once stopped.
+function cancelRunningAnimations() {
   document.querySelectorAll("[data-turbo-refresh-animate]").forEach(el => {
-    const timers = animationClassCleanupTimers.get(el)
-    if (timers) {
-      for (const timer of timers.values()) {
-        window.clearTimeout(timer)
-      }
-      timers.clear()
-    }
-
     const animationClasses = new Set([
-      "turbo-refresh-enter",
-      "turbo-refresh-change",
-      "turbo-refresh-exit",
+      config.classNames.enter,
+      config.classNames.change,
+      config.classNames.exit,
+      config.reducedMotionClassNames.enter,
+      config.reducedMotionClassNames.change,
+      config.reducedMotionClassNames.exit,
       el.getAttribute("data-turbo-refresh-enter"),
       el.getAttribute("data-turbo-refresh-change"),
       el.getAttribute("data-turbo-refresh-exit")
     ])
 
-    for (const className of animationClasses) {
-      if (className) el.classList.remove(className)
+    // Granular changes animate the element's fields rather than the element
+    for (const target of [el, ...granularFields(el)]) {
+      const timers = animationClassCleanupTimers.get(target)
+      if (timers) {
+        for (const timer of timers.values()) {
+          window.clearTimeout(timer)
+        }
+        timers.clear()
+      }
+
+      for (const className of animationClasses) {
+        if (className && !isWebAnimationName(className)) target.classList.remove(className)
+      }
+      cancelWebAnimations(target)
     }
+    el.classList.remove(config.classNames.containsChanges)
+    boxCleanups.get(el)?.()
+    clearStaggerProperties(el)
+  })
 
-    // Clear any in-progress FLIP inline styles
-    el.style.transform = ""
-    el.style.transition = ""
+  // Drop ghost exits still in flight
+  removeGhostOverlay()
+
+  // Clear any in-progress FLIP inline styles
+  document.querySelectorAll("[data-turbo-refresh-move]").forEach(el => {
+    const cleanup = flipCleanups.get(el)
+    if (cleanup) {
+      cleanup(false)
+    } else {
+      el.style.transform = ""
+      el.style.transition = ""
+    }
   })
-})
+}
+
+function onBeforeCache() {
+  cancelRunningAnimations()
+
+  // The kept server copies don't survive caching; drop the marks with them
+  document.querySelectorAll("[data-turbo-refresh-stale]").forEach(clearStale)
+  clearDeferredUpdates()
 
-function getAnimationClass(el, animType, defaultClass) {
+  // Cached pages show no unseen changes, and parked animations go with them
+  clearOffscreenChanges()
+  if (config.offscreen.enabled) updateOffscreenIndicators()
+  clearUnseenElements()
+  clearMissedChanges()
+}
+
+// data-turbo-refresh-animate-on="self" or "external" limits an element's animations
+// to refreshes of that origin. Other values, and renders without an origin, animate.
+function animatesForOrigin(el, origin) {
+  const value = (el.getAttribute("data-turbo-refresh-animate-on") || "").trim().toLowerCase()
+  if (!origin || (value !== "self" && value !== "external")) return true
+  return value === origin
+}
+
+function getAnimationClass(el, animType, origin = null) {
   const animateValue = el.getAttribute("data-turbo-refresh-animate")
 
   // data-turbo-refresh-animate semantics:
@@ -177,134 +751,669 @@ function getAnimationClass(el, animType, defaultClass) {
     if (enabledTypes.length > 0 && !enabledTypes.includes(animType)) return null
   }
 
+  if (!animatesForOrigin(el, origin)) return null
+
+  const reducedClass = isReducedMotion() ? config.reducedMotionClassNames[animType] : null
+  if (reducedClass) return reducedClass
+
   // Check for custom class via data-turbo-refresh-{type}="my-class"
   const customClass = el.getAttribute(`data-turbo-refresh-${animType}`)
-  return customClass || defaultClass
+  return customClass || config.classNames[animType]
 }
 
-function applyAnimation(el, defaultClass) {
-  // Extract animation type from class name (e.g., "turbo-refresh-enter" -> "enter")
-  const animType = defaultClass.replace("turbo-refresh-", "")
-  const animClass = getAnimationClass(el, animType, defaultClass)
-  if (!animClass) return
+// ========== WEB ANIMATIONS ==========
+// Registered keyframe effects, referenced wherever a class name is accepted with a
+// "wa:" prefix (e.g. data-turbo-refresh-enter="wa:slide-in"). Played with
+// element.animate(), so completion comes from the `finished` promise instead of
+// parsing computed styles. `keyframes` and `options` may be functions of
+// (element, detail) to compute per-element values such as measured heights.
 
-  if (el.classList.contains(animClass)) {
-    el.classList.remove(animClass)
-    // Force a reflow so the same animation class can retrigger.
-    void el.offsetWidth
-  }
+const WEB_ANIMATION_PREFIX = "wa:"
+const registeredAnimations = new Map()
+const runningWebAnimations = new WeakMap()
+
+function registerAnimation(name, keyframes, options = {}) {
+  registeredAnimations.set(name, { keyframes, options })
+}
 
-  el.classList.add(animClass)
+function unregisterAnimation(name) {
+  registeredAnimations.delete(name)
+}
 
-  let timers = animationClassCleanupTimers.get(el)
-  if (!timers) {
-    timers = new Map()
-    animationClassCleanupTimers.set(el, timers)
+function isWebAnimationName(className) {
+  return typeof className === "string" && className.startsWith(WEB_ANIMATION_PREFIX)
+}
+
+// Starts the registered effect, replacing any run of the same name still in
+// flight. Returns null when the name isn't registered, element.animate is
+// unavailable, or the effect throws (bad keyframes, a failing keyframes or
+// options function); callers treat that as an instant animation.
+function playWebAnimation(el, className, detail, defaultOptions = {}) {
+  const registered = registeredAnimations.get(className.slice(WEB_ANIMATION_PREFIX.length))
+  if (!registered || typeof el.animate !== "function") return null
+
+  let running = runningWebAnimations.get(el)
+  if (!running) {
+    running = new Map()
+    runningWebAnimations.set(el, running)
   }
+  running.get(className)?.cancel()
 
-  const existingTimer = timers.get(animClass)
-  if (existingTimer) window.clearTimeout(existingTimer)
+  let animation
+  try {
+    const keyframes = typeof registered.keyframes === "function"
+      ? registered.keyframes(el, detail)
+      : registered.keyframes
+    let options = typeof registered.options === "function"
+      ? registered.options(el, detail)
+      : registered.options
+    if (typeof options === "number") options = { duration: options }
+
+    animation = el.animate(keyframes, { ...defaultOptions, ...options })
+  } catch {
+    return null
+  }
+  running.set(className, animation)
 
-  const waitMs = maxWaitMsForAnimationOrTransition(el)
-  if (waitMs === 0) {
-    el.classList.remove(animClass)
-    timers.delete(animClass)
-    return
+  const forget = () => {
+    if (running.get(className) === animation) running.delete(className)
   }
+  animation.finished.then(forget, forget)
 
-  const timer = window.setTimeout(() => {
-    el.classList.remove(animClass)
-    const currentTimers = animationClassCleanupTimers.get(el)
-    currentTimers?.delete(animClass)
-  }, waitMs)
-  timers.set(animClass, timer)
+  return animation
 }
 
-function normalizedTextContent(el) {
-  return (el.textContent || "").replace(/\s+/g, " ").trim()
+function cancelWebAnimations(el) {
+  const running = runningWebAnimations.get(el)
+  if (!running) return
+
+  for (const animation of running.values()) {
+    animation.cancel()
+  }
+  running.clear()
 }
 
-function meaningfulUpdateSignature(el) {
-  const version = el.getAttribute("data-turbo-refresh-version")
-  if (version !== null) return `v:${version}`
-  return `t:${normalizedTextContent(el)}`
+// ========== STAGGER ==========
+// data-turbo-refresh-stagger="40ms" on a container cascades the animations of its
+// descendants within one pass (exits; enters and changes; moves). Each element's
+// delay is exposed as --turbo-refresh-stagger-delay for CSS (class cleanup and exit
+// waits read it back from the computed animation-delay), and applied directly to
+// FLIP transition delays, collapse/expand and Web Animation delays.
+// data-turbo-refresh-stagger-order="visual" orders by position instead of DOM order.
+
+function staggerContainerFor(el) {
+  return el.parentElement?.closest("[data-turbo-refresh-stagger]") || null
 }
 
-function visitKeyForUrl(url) {
-  try {
-    const parsed = new URL(url, document.baseURI)
-    return `${parsed.origin}${parsed.pathname}${parsed.search}`
-  } catch {
-    return null
+// Element → delay (ms) for every element inside a stagger container
+function staggerDelays(elements, rectFor = el => el.getBoundingClientRect()) {
+  const groups = new Map()
+  for (const el of elements) {
+    const container = staggerContainerFor(el)
+    if (!container) continue
+    if (!groups.has(container)) groups.set(container, [])
+    groups.get(container).push(el)
   }
-}
 
-function pathnameForUrl(url) {
-  try {
-    return new URL(url, document.baseURI).pathname
-  } catch {
-    return null
+  const delays = new Map()
+  for (const [container, members] of groups) {
+    const stepMs = parseCssTimeMs(container.getAttribute("data-turbo-refresh-stagger") || "")
+    if (!(stepMs > 0)) continue
+
+    if (container.getAttribute("data-turbo-refresh-stagger-order") === "visual") {
+      const rects = new Map(members.map(el => [el, rectFor(el)]))
+      members.sort((a, b) => (rects.get(a).top - rects.get(b).top) || (rects.get(a).left - rects.get(b).left))
+    } else {
+      members.sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+    }
+
+    members.forEach((el, index) => delays.set(el, index * stepMs))
   }
+  return delays
 }
 
-function isPageRefreshVisit() {
-  if (!pendingVisitIsReplace) return false
-  if (!pendingVisitPathname || !lastRenderedPathname) return false
+function setStaggerProperties(el, delayMs) {
+  if (!(delayMs > 0)) return
+  el.style.setProperty("--turbo-refresh-stagger-delay", `${delayMs}ms`)
+}
 
-  return pendingVisitPathname === lastRenderedPathname
+function clearStaggerProperties(el) {
+  el.style.removeProperty("--turbo-refresh-stagger-delay")
 }
 
-function parseCssTimeMs(value) {
-  const trimmed = value.trim()
-  if (trimmed === "") return 0
-  if (trimmed.endsWith("ms")) return Number.parseFloat(trimmed)
-  if (trimmed.endsWith("s")) return Number.parseFloat(trimmed) * 1000
-  const fallback = Number.parseFloat(trimmed)
-  return Number.isFinite(fallback) ? fallback * 1000 : 0
+// ========== COLLAPSE / EXPAND ==========
+// Animates the vertical box (height, padding, border, margin) between zero and the
+// element's natural size, so siblings slide instead of jumping:
+// - data-turbo-refresh-exit-collapse: after the exit animation, collapse, then remove
+// - data-turbo-refresh-enter-expand: expand from zero alongside the enter animation
+
+const BOX_PROPERTIES = [
+  ["height", "height"],
+  ["paddingTop", "padding-top"],
+  ["paddingBottom", "padding-bottom"],
+  ["borderTopWidth", "border-top-width"],
+  ["borderBottomWidth", "border-bottom-width"],
+  ["marginTop", "margin-top"],
+  ["marginBottom", "margin-bottom"]
+]
+const ZERO_BOX = Object.fromEntries(BOX_PROPERTIES.map(([property]) => [property, "0px"]))
+
+// Element → cleanup for its in-progress collapse/expand
+const boxCleanups = new WeakMap()
+
+function naturalBox(el) {
+  const style = window.getComputedStyle(el)
+  const borderTop = parseFloat(style.borderTopWidth) || 0
+  const borderBottom = parseFloat(style.borderBottomWidth) || 0
+  return {
+    height: `${el.scrollHeight + borderTop + borderBottom}px`,
+    paddingTop: style.paddingTop,
+    paddingBottom: style.paddingBottom,
+    borderTopWidth: style.borderTopWidth,
+    borderBottomWidth: style.borderBottomWidth,
+    marginTop: style.marginTop,
+    marginBottom: style.marginBottom
+  }
 }
 
-function parseCssTimeListMs(value) {
-  return value
-    .split(",")
-    .map(part => parseCssTimeMs(part))
-    .filter(Number.isFinite)
+function boxTiming(el, attribute) {
+  const value = (el.getAttribute(attribute) || "").trim()
+  const duration = value !== "" && parseCssTimeMs(value) > 0 ? value : config.collapse.duration
+  return { duration, easing: config.collapse.easing }
 }
 
-function parseCssNumberList(value) {
-  return value
-    .split(",")
-    .map(part => {
-      const trimmed = part.trim()
-      if (trimmed === "infinite") return 1
-      const num = Number.parseFloat(trimmed)
-      return Number.isFinite(num) ? num : 1
-    })
+// Transitions the box from `from` to `to`, then restores the element's inline styles.
+function animateBox(el, from, to, timing) {
+  const restoreStyle = holdBox(el, from)
+  void el.offsetWidth
+  return transitionBox(el, restoreStyle, to, timing)
 }
 
-function maxTimingMs(durationsMs, delaysMs, iterations) {
-  const count = Math.max(durationsMs.length, delaysMs.length, iterations.length)
-  if (count === 0) return 0
+// Sets the box to `from` with transitions off. Returns the inline styles to restore;
+// a reflow has to happen before transitionBox starts from there.
+function holdBox(el, from) {
+  boxCleanups.get(el)?.()
 
-  let maxMs = 0
-  for (let i = 0; i < count; i++) {
-    const duration = durationsMs[i % durationsMs.length] || 0
-    const delay = delaysMs[i % delaysMs.length] || 0
-    const iteration = iterations[i % iterations.length] || 1
-    maxMs = Math.max(maxMs, delay + duration * iteration)
-  }
+  const managed = ["overflow", "boxSizing", "transition", ...BOX_PROPERTIES.map(([property]) => property)]
+  const restoreStyle = Object.fromEntries(managed.map(property => [property, el.style[property]]))
 
-  return maxMs
+  el.style.transition = "none"
+  el.style.overflow = "hidden"
+  el.style.boxSizing = "border-box"
+  Object.assign(el.style, from)
+  return restoreStyle
 }
 
-function expectedAnimationEndCount(el) {
-  const style = window.getComputedStyle(el)
-  if (!style.animationName || style.animationName === "none") return 0
-
-  const names = style.animationName.split(",").map(name => name.trim())
-  const durationsMs = parseCssTimeListMs(style.animationDuration)
-  const iterations = parseCssNumberList(style.animationIterationCount)
+function transitionBox(el, restoreStyle, to, { duration, easing, delayMs = 0 }) {
+  return new Promise(resolve => {
+    el.style.transition = BOX_PROPERTIES
+      .map(([, cssProperty]) => `${cssProperty} ${duration} ${easing} ${delayMs}ms`)
+      .join(", ")
+    Object.assign(el.style, to)
 
-  let count = 0
+    let timer = null
+    const cleanup = () => {
+      if (timer === null) return
+      clearTimeout(timer)
+      timer = null
+      el.removeEventListener("transitionend", onEnd)
+      Object.assign(el.style, restoreStyle)
+      if (boxCleanups.get(el) === cleanup) boxCleanups.delete(el)
+      resolve()
+    }
+    const onEnd = (event) => { if (event.target === el && event.propertyName === "height") cleanup() }
+
+    timer = setTimeout(cleanup, parseCssTimeMs(duration) + delayMs + 50)
+    el.addEventListener("transitionend", onEnd)
+    boxCleanups.set(el, cleanup)
+  })
+}
+
+function collapseBox(el) {
+  return animateBox(el, naturalBox(el), ZERO_BOX, boxTiming(el, "data-turbo-refresh-exit-collapse"))
+}
+
+function expandTiming(el, delayMs) {
+  return { ...boxTiming(el, "data-turbo-refresh-enter-expand"), delayMs }
+}
+
+// ========== GHOST EXITS ==========
+// In "ghost" exit mode the exiting element is cloned into a fixed-position overlay
+// at its old rect and hidden, so the render proceeds immediately; the clone then
+// plays the exit animation and is removed. Clones lose their ids and
+// data-turbo-refresh-* attributes so nothing else matches them.
+
+let ghostOverlay = null
+
+function exitModeFor(el) {
+  const value = el.getAttribute("data-turbo-refresh-exit-mode")
+  return (value || config.exitMode) === "ghost" ? "ghost" : "wait"
+}
+
+function ensureGhostOverlay() {
+  if (ghostOverlay?.isConnected) return ghostOverlay
+
+  // Outside <body> so page renders (replace or morph) leave it alone
+  ghostOverlay = document.createElement("div")
+  ghostOverlay.setAttribute("data-turbo-refresh-ghosts", "")
+  ghostOverlay.setAttribute("aria-hidden", "true")
+  Object.assign(ghostOverlay.style, {
+    position: "fixed",
+    top: "0",
+    left: "0",
+    width: "0",
+    height: "0",
+    overflow: "visible",
+    pointerEvents: "none",
+    zIndex: "2147483647"
+  })
+  document.documentElement.appendChild(ghostOverlay)
+  return ghostOverlay
+}
+
+function removeGhostOverlay() {
+  ghostOverlay?.remove()
+  ghostOverlay = null
+}
+
+// Keeps the clone a picture of the element: no ids, no Stimulus controllers
+// reconnecting, no frames or iframes loading again.
+function stripGhostAttributes(node) {
+  node.removeAttribute("id")
+  node.removeAttribute("data-controller")
+  node.removeAttribute("data-action")
+  if (node.matches("turbo-frame, iframe")) node.removeAttribute("src")
+  for (const { name } of Array.from(node.attributes)) {
+    if (name.startsWith("data-turbo-refresh-")) node.removeAttribute(name)
+  }
+}
+
+function createGhost(el, rect) {
+  const ghost = el.cloneNode(true)
+  stripGhostAttributes(ghost)
+  ghost.querySelectorAll("*").forEach(stripGhostAttributes)
+  ghost.inert = true
+
+  Object.assign(ghost.style, {
+    position: "absolute",
+    left: `${rect.left}px`,
+    top: `${rect.top}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`,
+    margin: "0",
+    boxSizing: "border-box"
+  })
+
+  ensureGhostOverlay().appendChild(ghost)
+  el.style.visibility = "hidden"
+  return ghost
+}
+
+function animateGhostExit(el, exitClass, context) {
+  const ghost = createGhost(el, context.oldRect)
+  return animateAndRemove(ghost, exitClass, context).then(() => {
+    // A canceled before-exit leaves the element in place; nothing else would remove a ghost.
+    ghost.remove()
+    if (ghostOverlay && ghostOverlay.childElementCount === 0) removeGhostOverlay()
+  })
+}
+
+// ========== LIFECYCLE EVENTS ==========
+// turbo-refresh:before-{enter,change,exit,move} and turbo-refresh:after-{...} are
+// dispatched on the animated element and bubble. before-* events are cancelable
+// (skips the animation) and run before the class is added, so listeners can
+// swap event.detail.className or set CSS custom properties on the element first.
+
+function dispatchLifecycleEvent(el, name, detail, { cancelable = false } = {}) {
+  const event = new CustomEvent(`turbo-refresh:${name}`, { bubbles: true, cancelable, detail })
+  el.dispatchEvent(event)
+  return event
+}
+
+// Rects that weren't already measured are read on first access so listeners that
+// don't need them don't force a layout.
+function lifecycleDetail(el, type, className, { oldSignature = null, newSignature = null, oldRect, newRect, staggerDelayMs = 0, fields = [], origin = null } = {}) {
+  const detail = { element: el, type, className, oldSignature, newSignature, staggerDelayMs, fields, origin, reducedMotion: isReducedMotion() }
+  const defineRect = (name, rect) => {
+    if (rect !== undefined) {
+      detail[name] = rect
+      return
+    }
+    let measured = null
+    Object.defineProperty(detail, name, {
+      enumerable: true,
+      get: () => measured || (measured = el.getBoundingClientRect())
+    })
+  }
+  defineRect("oldRect", oldRect)
+  defineRect("newRect", newRect)
+  return detail
+}
+
+function applyAnimation(el, animType, context = {}) {
+  const plan = prepareAnimation(el, animType, context)
+  if (plan) startAnimations([plan])
+}
+
+// Resolves the class and dispatches before-{type}. Returns what startAnimations needs,
+// or null when the element doesn't animate. Writes nothing to the DOM itself.
+function prepareAnimation(el, animType, context = {}) {
+  const defaultClass = getAnimationClass(el, animType, context.origin)
+  if (!defaultClass) return null
+
+  const detail = lifecycleDetail(el, animType, defaultClass, context)
+  const beforeEvent = dispatchLifecycleEvent(el, `before-${animType}`, detail, { cancelable: true })
+  if (beforeEvent.defaultPrevented) return null
+
+  const animClass = detail.className
+  if (!animClass) return null
+
+  const targets = detail.fields.length > 0 ? detail.fields : [el]
+  const containsClass = targets[0] === el ? null : config.classNames.containsChanges
+  const expands = animType === "enter" && el.hasAttribute("data-turbo-refresh-enter-expand") && !detail.reducedMotion
+
+  let remaining = targets.length
+  const finish = () => {
+    if (--remaining > 0) return
+    clearStaggerProperties(el)
+    if (containsClass) el.classList.remove(containsClass)
+    dispatchLifecycleEvent(el, `after-${animType}`, detail)
+  }
+
+  return { el, animClass, detail, targets, containsClass, expands, finish }
+}
+
+// Starts prepared animations the way the FLIP pass moves elements: measure all →
+// write all → at most one forced reflow (to restart classes already running and to
+// start expanding boxes from zero) → add every class → read every duration.
+// Interrupted animations (canceled effect, cleared class timer) never finish.
+function startAnimations(plans) {
+  const expandBoxes = new Map(plans.filter(plan => plan.expands).map(({ el }) => [el, naturalBox(el)]))
+
+  let needsReflow = false
+  const heldBoxes = new Map()
+  for (const { el, animClass, detail, targets, containsClass, expands } of plans) {
+    setStaggerProperties(el, detail.staggerDelayMs)
+    if (containsClass) el.classList.add(containsClass)
+    if (expands) {
+      heldBoxes.set(el, holdBox(el, ZERO_BOX))
+      needsReflow = true
+    }
+    if (isWebAnimationName(animClass)) continue
+
+    for (const target of targets) {
+      if (!target.classList.contains(animClass)) continue
+      target.classList.remove(animClass)
+      needsReflow = true
+    }
+  }
+
+  if (needsReflow) void document.body.offsetWidth
+
+  const classTargets = []
+  for (const plan of plans) {
+    const { el, animClass, detail, targets, finish } = plan
+    if (plan.expands) transitionBox(el, heldBoxes.get(el), expandBoxes.get(el), expandTiming(el, detail.staggerDelayMs))
+
+    for (const target of targets) {
+      if (isWebAnimationName(animClass)) {
+        playWebAnimationClass(target, animClass, detail, finish)
+      } else {
+        target.classList.add(animClass)
+        classTargets.push({ target, plan })
+      }
+    }
+  }
+
+  // Every class is on, so computing the durations recalculates styles once
+  const waits = classTargets.map(({ target }) => maxWaitMsForAnimationOrTransition(target))
+  classTargets.forEach(({ target, plan }, i) => scheduleClassCleanup(target, plan, waits[i]))
+}
+
+function playWebAnimationClass(target, animClass, detail, finish) {
+  const { staggerDelayMs } = detail
+  const animation = playWebAnimation(target, animClass, detail, staggerDelayMs > 0 ? { delay: staggerDelayMs } : {})
+  if (!animation) {
+    finish()
+    return
+  }
+
+  animation.finished.then(finish, () => {})
+}
+
+// Removes the class once its animation or transition has had time to finish
+function scheduleClassCleanup(target, { animClass, finish }, waitMs) {
+  let timers = animationClassCleanupTimers.get(target)
+  if (!timers) {
+    timers = new Map()
+    animationClassCleanupTimers.set(target, timers)
+  }
+
+  const existingTimer = timers.get(animClass)
+  if (existingTimer) window.clearTimeout(existingTimer)
+
+  if (waitMs === 0) {
+    target.classList.remove(animClass)
+    timers.delete(animClass)
+    finish()
+    return
+  }
+
+  const timer = window.setTimeout(() => {
+    target.classList.remove(animClass)
+    const currentTimers = animationClassCleanupTimers.get(target)
+    currentTimers?.delete(animClass)
+    finish()
+  }, waitMs)
+  timers.set(animClass, timer)
+}
+
+// ========== CHANGE DETECTION ==========
+// An element's signature, compared before and after a render, decides whether it
+// changed. In order of precedence:
+// - data-turbo-refresh-version="..."        → the version string
+// - data-turbo-refresh-signature="name"     → a function registered with registerSignature
+// - otherwise normalized textContent, minus descendants matching
+//   data-turbo-refresh-signature-ignore="selector", plus the values of the
+//   attributes listed in data-turbo-refresh-watch="class, src" on the element
+//   and its descendants
+
+const registeredSignatures = new Map()
+
+function registerSignature(name, signatureFn) {
+  registeredSignatures.set(name, signatureFn)
+}
+
+function unregisterSignature(name) {
+  registeredSignatures.delete(name)
+}
+
+function parseNameList(value) {
+  return (value || "").split(/[\s,]+/).filter(Boolean)
+}
+
+function normalizedTextContent(el, ignoreSelector = null) {
+  if (!ignoreSelector) return (el.textContent || "").replace(/\s+/g, " ").trim()
+
+  let ignored
+  try {
+    ignored = new Set(el.querySelectorAll(ignoreSelector))
+  } catch {
+    ignored = new Set()
+  }
+
+  let text = ""
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+    acceptNode: node => ignored.has(node) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+  })
+  while (walker.nextNode()) {
+    if (walker.currentNode.nodeType === Node.TEXT_NODE) text += walker.currentNode.data
+  }
+  return text.replace(/\s+/g, " ").trim()
+}
+
+// `owner` is the element whose animation classes also count as the library's own
+function watchedAttributeValues(el, names, owner = el) {
+  const ownClasses = libraryClassNames(owner)
+  const values = []
+  for (const node of [el, ...el.querySelectorAll("*")]) {
+    for (const name of names) {
+      if (!node.hasAttribute(name)) continue
+      const value = name.toLowerCase() === "class"
+        ? Array.from(node.classList).filter(token => !ownClasses.has(token) && !isCustomAnimationClass(node, token)).join(" ")
+        : node.getAttribute(name)
+      values.push([name, value])
+    }
+  }
+  return JSON.stringify(values)
+}
+
+// Class tokens the library adds and removes itself. A watched class attribute leaves
+// them out, so a refresh arriving mid-flash doesn't read as a change.
+function libraryClassNames(el) {
+  const names = new Set([...Object.values(config.classNames), ...Object.values(config.reducedMotionClassNames)])
+  for (const type of ["enter", "change", "exit"]) {
+    const custom = el.getAttribute(`data-turbo-refresh-${type}`)
+    if (custom) names.add(custom)
+  }
+  return names
+}
+
+function isCustomAnimationClass(el, token) {
+  return ["enter", "change", "exit"].some(type => el.getAttribute(`data-turbo-refresh-${type}`) === token)
+}
+
+function meaningfulUpdateSignature(el) {
+  const version = el.getAttribute("data-turbo-refresh-version")
+  if (version !== null) return `v:${version}`
+
+  const signatureName = el.getAttribute("data-turbo-refresh-signature")
+  const signatureFn = signatureName && registeredSignatures.get(signatureName)
+  if (signatureFn) return `s:${signatureName}:${signatureFn(el)}`
+
+  return contentSignature(el, el)
+}
+
+// Text and watched attributes of `node`, using the ignore/watch settings on `el`
+function contentSignature(node, el) {
+  const text = normalizedTextContent(node, el.getAttribute("data-turbo-refresh-signature-ignore"))
+  const watched = parseNameList(el.getAttribute("data-turbo-refresh-watch"))
+  if (watched.length === 0) return `t:${text}`
+
+  return `t:${text}|a:${watchedAttributeValues(node, watched, el)}`
+}
+
+// Granular changes: with data-turbo-refresh-change-granular, a changed element's
+// fields are compared individually and only the differing ones get the change
+// animation; the element itself gets config.classNames.containsChanges.
+// Fields are the descendants marked data-turbo-refresh-field (keyed by the
+// attribute value, or position when empty), else the direct children.
+
+function granularFields(el) {
+  if (!el.hasAttribute("data-turbo-refresh-change-granular")) return []
+
+  const marked = Array.from(el.querySelectorAll("[data-turbo-refresh-field]"))
+    .filter(field => field.parentElement.closest("[data-turbo-refresh-change-granular]") === el)
+  return marked.length > 0 ? marked : Array.from(el.children)
+}
+
+function fieldSignatures(el) {
+  const signatures = new Map()
+  granularFields(el).forEach((field, index) => {
+    const key = field.getAttribute("data-turbo-refresh-field") || `#${index}`
+    const version = field.getAttribute("data-turbo-refresh-version")
+    signatures.set(key, [field, version !== null ? `v:${version}` : contentSignature(field, el)])
+  })
+  return signatures
+}
+
+// The fields of `el` that differ from the `before` snapshot (or are new), or
+// null when none do and the whole element should animate instead.
+function changedFields(el, before) {
+  if (!before) return null
+
+  const changed = []
+  for (const [key, [field, signature]] of fieldSignatures(el)) {
+    if (!before.has(key) || before.get(key)[1] !== signature) changed.push(field)
+  }
+  return changed.length > 0 ? changed : null
+}
+
+function visitKeyForUrl(url) {
+  try {
+    const parsed = new URL(url, document.baseURI)
+    return `${parsed.origin}${parsed.pathname}${parsed.search}`
+  } catch {
+    return null
+  }
+}
+
+function pathnameForUrl(url) {
+  try {
+    return new URL(url, document.baseURI).pathname
+  } catch {
+    return null
+  }
+}
+
+function isPageRefreshVisit() {
+  if (!pendingVisitIsReplace) return false
+  if (!pendingVisitPathname || !lastRenderedPathname) return false
+
+  return pendingVisitPathname === lastRenderedPathname
+}
+
+function parseCssTimeMs(value) {
+  const trimmed = value.trim()
+  if (trimmed === "") return 0
+  if (trimmed.endsWith("ms")) return Number.parseFloat(trimmed)
+  if (trimmed.endsWith("s")) return Number.parseFloat(trimmed) * 1000
+  const fallback = Number.parseFloat(trimmed)
+  return Number.isFinite(fallback) ? fallback * 1000 : 0
+}
+
+function parseCssTimeListMs(value) {
+  return value
+    .split(",")
+    .map(part => parseCssTimeMs(part))
+    .filter(Number.isFinite)
+}
+
+function parseCssNumberList(value) {
+  return value
+    .split(",")
+    .map(part => {
+      const trimmed = part.trim()
+      if (trimmed === "infinite") return 1
+      const num = Number.parseFloat(trimmed)
+      return Number.isFinite(num) ? num : 1
+    })
+}
+
+function maxTimingMs(durationsMs, delaysMs, iterations) {
+  const count = Math.max(durationsMs.length, delaysMs.length, iterations.length)
+  if (count === 0) return 0
+
+  let maxMs = 0
+  for (let i = 0; i < count; i++) {
+    const duration = durationsMs[i % durationsMs.length] || 0
+    const delay = delaysMs[i % delaysMs.length] || 0
+    const iteration = iterations[i % iterations.length] || 1
+    maxMs = Math.max(maxMs, delay + duration * iteration)
+  }
+
+  return maxMs
+}
+
+function expectedAnimationEndCount(el) {
+  const style = window.getComputedStyle(el)
+  if (!style.animationName || style.animationName === "none") return 0
+
+  const names = style.animationName.split(",").map(name => name.trim())
+  const durationsMs = parseCssTimeListMs(style.animationDuration)
+  const iterations = parseCssNumberList(style.animationIterationCount)
+
+  let count = 0
   for (let i = 0; i < names.length; i++) {
     const name = names[i]
     if (!name || name === "none") continue
@@ -367,8 +1476,18 @@ function maxWaitMsForAnimationOrTransition(el) {
   return maxMs > 0 ? maxMs + 50 : 0
 }
 
-function animateAndRemove(el, animClass) {
+function animateAndRemove(el, exitClass, context = {}, { removes = true } = {}) {
   return new Promise(resolve => {
+    const detail = lifecycleDetail(el, "exit", exitClass, { ...context, newRect: null })
+    const beforeEvent = dispatchLifecycleEvent(el, "before-exit", detail, { cancelable: true })
+    // Canceled (or class cleared): leave the element for the morph to remove.
+    if (beforeEvent.defaultPrevented || !detail.className) {
+      resolve()
+      return
+    }
+
+    const animClass = detail.className
+    const { staggerDelayMs } = detail
     let finished = false
     let timer = null
     let endedCount = 0
@@ -384,8 +1503,17 @@ function animateAndRemove(el, animClass) {
       el.removeEventListener("transitionend", onTransitionEnd)
       el.removeEventListener("transitioncancel", onCancel)
 
-      el.remove()
-      resolve()
+      const remove = () => {
+        dispatchLifecycleEvent(el, "after-exit", detail)
+        if (removes) el.remove()
+        resolve()
+      }
+
+      if (el.hasAttribute("data-turbo-refresh-exit-collapse") && !detail.reducedMotion) {
+        collapseBox(el).then(remove)
+      } else {
+        remove()
+      }
     }
 
     const onEnd = (event) => {
@@ -409,6 +1537,22 @@ function animateAndRemove(el, animClass) {
       }
     }
 
+    setStaggerProperties(el, staggerDelayMs)
+
+    if (isWebAnimationName(animClass)) {
+      // Hold the final frame so the element doesn't snap back before removal.
+      const animation = playWebAnimation(el, animClass, detail, {
+        fill: "forwards",
+        ...(staggerDelayMs > 0 && { delay: staggerDelayMs })
+      })
+      if (animation) {
+        animation.finished.then(finish, finish)
+      } else {
+        finish()
+      }
+      return
+    }
+
     el.addEventListener("animationend", onEnd)
     el.addEventListener("animationcancel", onCancel)
     el.addEventListener("transitionend", onTransitionEnd)
@@ -424,201 +1568,1147 @@ function animateAndRemove(el, animClass) {
       return
     }
 
-    timer = setTimeout(finish, waitMs > 0 ? waitMs : 2000)
+    // The computed animation-delay already includes a stagger delay applied through
+    // --turbo-refresh-stagger-delay; only the blind fallback adds it
+    timer = setTimeout(finish, waitMs > 0 ? waitMs : 2000 + staggerDelayMs)
   })
 }
 
+// The snapshot to protect `wrapper` against, or null when it should morph: no
+// refresh is in progress, the wrapper initiated it, or none of its conditions hold.
+function protectionScopeFor(wrapper) {
+  if (isInitiator(wrapper)) return null
+
+  const { conditions } = preserveOptionsFor(wrapper)
+  if (conditions.length > 0 && !conditions.some(condition => condition(wrapper))) return null
+
+  return refreshScopeFor(wrapper)
+}
+
 // Handle morphing: protect permanent elements, animate deletes
-document.addEventListener("turbo:before-morph-element", (event) => {
+function onBeforeMorphElement(event) {
   const currentEl = event.target
   const newEl = event.detail.newElement
 
+  // If the element is being removed, allow Turbo to remove it normally.
+  if (newEl === undefined) return
+
+  // Inside a merging wrapper: keep the fields the user edited and the focused element.
+  if (dirtyFields.has(currentEl) || currentEl === document.activeElement) {
+    const wrapper = currentEl.parentElement?.closest("[data-turbo-refresh-preserve]")
+    if (wrapper && isMergePreserve(wrapper) && protectionScopeFor(wrapper)) {
+      event.preventDefault()
+      return
+    }
+  }
+
   // Protect permanent elements:
   // - During same-page refresh morphs (preserve user state like open forms)
   // - EXCEPT the element initiating the refresh (form submit or link click within it)
   if (currentEl.hasAttribute("data-turbo-refresh-preserve")) {
-    // If the element is being removed, allow Turbo to remove it normally.
-    if (newEl === undefined) return
-
-    const isSubmitting = currentEl === submittingPermanentEl
-    const isVisiting = currentEl === visitingPermanentEl
-    const isInitiator = isSubmitting || isVisiting
-    const shouldProtect = !isInitiator && shouldAnimateAfterRender
+    const scope = protectionScopeFor(currentEl)
+
+    // The initiator's edits were submitted (or abandoned), or its conditions no longer
+    // hold; either way it takes the incoming HTML and starts clean again
+    if (!scope) {
+      if (refreshScopeFor(currentEl)) {
+        clearDirtyFields(currentEl)
+        clearDeferredUpdate(currentEl)
+        staleUpdates.delete(currentEl)
+      }
+      return
+    }
 
-    if (shouldProtect) {
-      event.preventDefault()
+    if (isMergePreserve(currentEl)) return
 
-      // Flash protected elements on meaningful updates, based on data-turbo-refresh-version.
-      // This avoids false positives from view-state differences (e.g., open form vs read-only).
-      if (currentEl.hasAttribute("data-turbo-refresh-animate") && currentEl.hasAttribute("data-turbo-refresh-version")) {
-        const oldVersion = currentEl.getAttribute("data-turbo-refresh-version")
-        const newVersion = newEl.getAttribute("data-turbo-refresh-version")
-        if (newVersion !== null && oldVersion !== newVersion) {
-          currentEl.setAttribute("data-turbo-refresh-version", newVersion)
-          if (currentEl.id) {
-            signaturesBefore.set(currentEl.id, meaningfulUpdateSignature(currentEl))
-          }
-          applyAnimation(currentEl, "turbo-refresh-change")
+    event.preventDefault()
+    deferUpdate(currentEl, newEl)
+
+    // Mark and flash protected elements on meaningful updates, based on data-turbo-refresh-version.
+    // This avoids false positives from view-state differences (e.g., open form vs read-only).
+    const oldVersion = currentEl.getAttribute("data-turbo-refresh-version")
+    const newVersion = newEl.getAttribute("data-turbo-refresh-version")
+    if (oldVersion !== null && newVersion !== null && oldVersion !== newVersion) {
+      currentEl.setAttribute("data-turbo-refresh-version", newVersion)
+      markStale(currentEl, oldVersion, newVersion)
+
+      if (currentEl.hasAttribute("data-turbo-refresh-animate")) {
+        const newSignature = meaningfulUpdateSignature(currentEl)
+        if (currentEl.id) {
+          scope.signatures.set(currentEl.id, newSignature)
         }
+        applyAnimation(currentEl, "change", {
+          oldSignature: `v:${oldVersion}`,
+          newSignature,
+          oldRect: scope.rects.get(currentEl.id) || null,
+          origin: scope.origin
+        })
       }
-      return
     }
   }
-})
+}
 
-// Before render: detect deletions and animate BEFORE morph
-document.addEventListener("turbo:before-render", async (event) => {
-  if (!event.detail.newBody) {
-    clearPendingVisit()
-    return
+// ========== RENDER PASSES ==========
+// Shared by page refreshes and Turbo Stream actions: snapshot → exit → render →
+// enter/change → FLIP. Each pass is scoped to the elements it is given.
+
+const ANIMATED_SELECTOR = "[data-turbo-refresh-animate][id]"
+const MOVE_SELECTOR = "[data-turbo-refresh-move][id]"
+
+// Matching descendants of each root, plus the root itself when `includeRoots`.
+function elementsWithin(roots, selector, { includeRoots = true } = {}) {
+  const elements = new Set()
+  for (const root of roots) {
+    if (includeRoots && root.matches?.(selector)) elements.add(root)
+    root.querySelectorAll(selector).forEach(el => elements.add(el))
   }
+  return Array.from(elements)
+}
 
-  signaturesBefore = new Map()
-  rectsBefore = new Map()
+function captureSignatures(elements, signatures = new Map()) {
+  for (const el of elements) {
+    signatures.set(el.id, meaningfulUpdateSignature(el))
+  }
+  return signatures
+}
 
-  shouldAnimateAfterRender = isPageRefreshVisit()
-  clearPendingVisit()
-  if (!shouldAnimateAfterRender) {
-    return
+function captureFieldSignatures(elements, fields = new Map()) {
+  for (const el of elements) {
+    if (el.hasAttribute("data-turbo-refresh-change-granular")) fields.set(el.id, fieldSignatures(el))
+  }
+  return fields
+}
+
+function captureRects(elements, rects = new Map()) {
+  for (const el of elements) {
+    rects.set(el.id, el.getBoundingClientRect())
   }
+  return rects
+}
 
-  const animatedElements = Array.from(document.querySelectorAll("[data-turbo-refresh-animate][id]"))
-  animatedElements.forEach(el => {
-    signaturesBefore.set(el.id, meaningfulUpdateSignature(el))
+// Exit-animates the elements that have no counterpart (by id) in `newRoot`
+// (all of them when `newRoot` is null). Returns null when nothing animates,
+// otherwise a promise that resolves once every exiting element is removed.
+// `snapshot` is the pass's { signatures, rects, fields, origin }. Elements in
+// `removedByRender` finish their exit in place and are left for the render to remove.
+function animateExits(elements, newRoot, snapshot, { removedByRender = new Set() } = {}) {
+  // Nobody would see them; let the render go ahead
+  if (animationsHeldWhileHidden()) return null
+
+  const { signatures, origin } = snapshot
+  // Detect elements that will be deleted. One pass over the new ids keeps
+  // long lists from running a selector query per element.
+  const newIds = new Set(Array.from(newRoot?.querySelectorAll("[id]") ?? [], el => el.id))
+  const deletions = elements.filter(el => !newIds.has(el.id))
+  if (deletions.length === 0) return null
+
+  // Filter to only elements that want exit animation and get their classes
+  const candidateDeletions = deletions
+    .map(el => ({ el, exitClass: getAnimationClass(el, "exit", origin) }))
+    .filter(({ exitClass }) => exitClass)
+  if (candidateDeletions.length === 0) return null
+
+  const candidateSet = new Set(candidateDeletions.map(({ el }) => el))
+  const topLevelDeletions = candidateDeletions.filter(({ el }) => {
+    let parent = el.parentElement
+    while (parent) {
+      if (candidateSet.has(parent)) return false
+      parent = parent.parentElement
+    }
+    return true
   })
 
-  document.querySelectorAll("[data-turbo-refresh-move][id]").forEach(el => {
-    rectsBefore.set(el.id, el.getBoundingClientRect())
+  const delays = staggerDelays(topLevelDeletions.map(({ el }) => el))
+  const contextFor = (el) => ({
+    oldSignature: signatures.get(el.id) ?? null,
+    staggerDelayMs: delays.get(el) || 0,
+    origin
   })
 
-  let shouldResume = false
+  // Ghost exits don't hold up the render: measure all, then clone and animate.
+  const ghosted = topLevelDeletions
+    .filter(({ el }) => exitModeFor(el) === "ghost")
+    .map(deletion => ({ ...deletion, oldRect: deletion.el.getBoundingClientRect() }))
+  for (const { el, exitClass, oldRect } of ghosted) {
+    animateGhostExit(el, exitClass, { ...contextFor(el), oldRect })
+  }
 
-  // Detect elements that will be deleted
-  const deletions = animatedElements.filter(el => {
-    return !event.detail.newBody.querySelector(`#${CSS.escape(el.id)}`)
-  })
+  const waited = topLevelDeletions.filter(({ el }) => exitModeFor(el) !== "ghost")
+  if (waited.length === 0) return null
 
-  // If there are deletions, animate them BEFORE the morph
-  if (deletions.length > 0) {
-    // Filter to only elements that want exit animation and get their classes
-    const candidateDeletions = deletions
-      .map(el => ({ el, exitClass: getAnimationClass(el, "exit", "turbo-refresh-exit") }))
-      .filter(({ exitClass }) => exitClass)
+  return Promise.all(waited.map(({ el, exitClass }) => {
+    return animateAndRemove(el, exitClass, contextFor(el), { removes: !removedByRender.has(el) })
+  }))
+}
 
-    if (candidateDeletions.length > 0) {
-      event.preventDefault()
-      shouldResume = true
-
-      const candidateSet = new Set(candidateDeletions.map(({ el }) => el))
-      const topLevelDeletions = candidateDeletions.filter(({ el }) => {
-        let parent = el.parentElement
-        while (parent) {
-          if (candidateSet.has(parent)) return false
-          parent = parent.parentElement
-        }
-        return true
-      })
+function animateEntersAndChanges(elements, snapshot) {
+  const { signatures, rects, fields, origin } = snapshot
+  // Before comparing, so a watched class attribute doesn't count the marker as a change
+  restoreUnseen(snapshot.unseen || [])
+
+  const pending = []
+  for (const el of elements) {
+    const beforeSignature = signatures.get(el.id)
+    const afterSignature = meaningfulUpdateSignature(el)
+    const oldRect = rects.get(el.id) || null
+    if (beforeSignature === undefined) {
+      pending.push({ el, animType: "enter", context: { newSignature: afterSignature, oldRect, origin } })
+    } else if (beforeSignature !== afterSignature) {
+      const changed = changedFields(el, fields.get(el.id)) || []
+      pending.push({ el, animType: "change", context: { oldSignature: beforeSignature, newSignature: afterSignature, oldRect, fields: changed, origin } })
+    }
+  }
 
-      await Promise.all(topLevelDeletions.map(({ el, exitClass }) => animateAndRemove(el, exitClass)))
+  if (animationsHeldWhileHidden()) {
+    recordMissedEntersAndChanges(pending, snapshot)
+  } else {
+    const animated = pending.filter(({ el, animType }) => getAnimationClass(el, animType, origin))
+    const delays = staggerDelays(animated.map(({ el }) => el))
+    // Measured before the animation classes can shift anything
+    const offscreen = findOffscreenChanges(animated)
+    const parked = new Set(offscreen.filter(({ el }) => animatesWhenVisible(el)).map(({ el }) => el))
+    const plans = []
+    for (const { el, animType, context } of pending) {
+      if (parked.has(el)) {
+        parkAnimation(el, animType, context)
+        continue
+      }
+      const plan = prepareAnimation(el, animType, { ...context, staggerDelayMs: delays.get(el) || 0 })
+      if (plan) plans.push(plan)
     }
+    startAnimations(plans)
+    trackOffscreenChanges(offscreen)
   }
 
-  if (shouldResume) {
-    event.detail.resume()
+  // The user's own edits aren't news to them, and neither are elements kept from animating
+  if (origin === "self") return
+  for (const { el, animType } of pending) {
+    if (marksUnseen(el) && getAnimationClass(el, animType, origin)) markUnseen(el)
   }
-})
+}
 
-document.addEventListener("turbo:render", () => {
-  lastRenderedPathname = window.location.pathname
-  submittingPermanentEl = null
-  visitingPermanentEl = null
-  clearPendingVisit()
+// FLIP: animate elements that moved position. Opt-in via data-turbo-refresh-move.
+// Constant velocity by default (config.move.speed, 800px/s). Override per element
+// via CSS custom properties:
+//   --turbo-refresh-move-speed    (px/s, default config.move.speed)
+//   --turbo-refresh-move-duration (e.g. "500ms"; fixed duration, overrides speed)
+//   --turbo-refresh-move-easing   (e.g. "ease-in-out", default config.move.easing)
+//
+// The attribute value picks what is animated:
+//   "" (default) → position only, via translate()
+//   "scale"      → position and size, via translate() + scale() from the top-left
+//                  corner; child elements are counter-scaled so their text doesn't
+//                  stretch (bare text directly inside still does)
+//   "size"       → position via translate(), real width/height (siblings reflow)
+//
+// Batched to minimize forced reflows: measure all → invert all → one
+// reflow → play all.
+//
+// Known limitation: moving elements may pass behind stationary siblings
+// because CSS transforms don't reliably override DOM paint order. We
+// attempted preserve-3d + translateZ but results were intermittent.
+// Users can mitigate this with opaque backgrounds on items.
+
+// Element → cleanup for its in-progress FLIP (called with false when interrupted)
+const flipCleanups = new WeakMap()
+
+function moveModeFor(el) {
+  const value = (el.getAttribute("data-turbo-refresh-move") || "").trim().toLowerCase()
+  return value === "scale" || value === "size" ? value : "translate"
+}
+
+function animateMoves(elements, snapshot) {
+  // Reduced motion: let moved elements snap to their new positions
+  if (isReducedMotion()) return
+
+  if (animationsHeldWhileHidden()) {
+    recordMissedMoves(elements, snapshot)
+    return
+  }
+
+  const { signatures, rects, origin } = snapshot
+  const movedElements = []
+  for (const el of elements) {
+    const oldRect = rects.get(el.id)
+    if (!oldRect || !animatesForOrigin(el, origin)) continue
+
+    const mode = moveModeFor(el)
+    const newRect = el.getBoundingClientRect()
+    const deltaX = oldRect.left - newRect.left
+    const deltaY = oldRect.top - newRect.top
+    const deltaWidth = mode === "translate" ? 0 : oldRect.width - newRect.width
+    const deltaHeight = mode === "translate" ? 0 : oldRect.height - newRect.height
+    if (deltaX === 0 && deltaY === 0 && deltaWidth === 0 && deltaHeight === 0) continue
+
+    // A zero-sized box can't be scaled back to its old size
+    const scaleX = mode === "scale" && newRect.width > 0 ? oldRect.width / newRect.width : 1
+    const scaleY = mode === "scale" && newRect.height > 0 ? oldRect.height / newRect.height : 1
+
+    // Dispatched before reading the --turbo-refresh-move-* properties so listeners can set them.
+    const detail = lifecycleDetail(el, "move", null, {
+      oldSignature: signatures.get(el.id) ?? null,
+      newSignature: el.hasAttribute("data-turbo-refresh-animate") ? meaningfulUpdateSignature(el) : null,
+      oldRect,
+      newRect,
+      origin
+    })
+    const beforeEvent = dispatchLifecycleEvent(el, "before-move", detail, { cancelable: true })
+    if (beforeEvent.defaultPrevented) continue
+
+    const style = window.getComputedStyle(el)
+    const easing = style.getPropertyValue("--turbo-refresh-move-easing").trim() || config.move.easing
+    const fixedDuration = style.getPropertyValue("--turbo-refresh-move-duration").trim() || config.move.duration
+    const speed = parseFloat(style.getPropertyValue("--turbo-refresh-move-speed")) || config.move.speed
+    const distance = Math.max(Math.sqrt(deltaX * deltaX + deltaY * deltaY), Math.abs(deltaWidth), Math.abs(deltaHeight))
+    const duration = fixedDuration || `${Math.round(Math.max(distance / speed * 1000, config.move.minDurationMs))}ms`
 
-  if (shouldAnimateAfterRender) {
-    document.querySelectorAll("[data-turbo-refresh-animate][id]").forEach(el => {
-      const beforeSignature = signaturesBefore.get(el.id)
-      if (beforeSignature === undefined) {
-        applyAnimation(el, "turbo-refresh-enter")
-        return
+    movedElements.push({ el, mode, deltaX, deltaY, scaleX, scaleY, duration, easing, detail })
+  }
+
+  if (movedElements.length === 0) return
+
+  const newRects = new Map(movedElements.map(({ el, detail }) => [el, detail.newRect]))
+  const delays = staggerDelays(movedElements.map(({ el }) => el), el => newRects.get(el))
+  for (const moved of movedElements) {
+    moved.detail.staggerDelayMs = delays.get(moved.el) || 0
+  }
+
+  // Invert: snap moved elements back to their old positions (and sizes)
+  const moving = new Set(movedElements.map(({ el }) => el))
+  for (const moved of movedElements) {
+    const { el, mode, deltaX, deltaY, scaleX, scaleY, detail } = moved
+    flipCleanups.get(el)?.(false)
+
+    moved.restoreStyle = {
+      transformOrigin: el.style.transformOrigin,
+      width: el.style.width,
+      height: el.style.height,
+      boxSizing: el.style.boxSizing
+    }
+    moved.counterScaled = []
+
+    el.style.transition = "none"
+    if (mode === "scale") {
+      el.style.transformOrigin = "0 0"
+      el.style.transform = `translate(${deltaX}px, ${deltaY}px) scale(${scaleX}, ${scaleY})`
+      // Children running their own FLIP keep their transform
+      for (const child of el.children) {
+        if (moving.has(child)) continue
+        const { transform, transformOrigin, transition } = child.style
+        moved.counterScaled.push({ child, restoreStyle: { transform, transformOrigin, transition } })
+        child.style.transformOrigin = "0 0"
+        child.style.transform = `scale(${1 / scaleX}, ${1 / scaleY}) ${transform}`.trim()
+        child.style.transition = "none"
       }
+    } else {
+      el.style.transform = `translate(${deltaX}px, ${deltaY}px)`
+    }
 
-      const afterSignature = meaningfulUpdateSignature(el)
-      if (beforeSignature !== afterSignature) {
-        applyAnimation(el, "turbo-refresh-change")
+    if (mode === "size") {
+      el.style.boxSizing = "border-box"
+      el.style.width = `${detail.oldRect.width}px`
+      el.style.height = `${detail.oldRect.height}px`
+    }
+  }
+
+  // Force one reflow
+  void document.body.offsetWidth
+
+  // Play: transition moved elements to their new positions (and sizes)
+  for (const { el, mode, duration, easing, detail, restoreStyle, counterScaled } of movedElements) {
+    const durationMs = parseCssTimeMs(duration)
+    const { staggerDelayMs } = detail
+    const timing = `${duration} ${easing} ${staggerDelayMs}ms`
+    const properties = mode === "size" ? ["transform", "width", "height"] : ["transform"]
+
+    setStaggerProperties(el, staggerDelayMs)
+    el.style.transition = properties.map(property => `${property} ${timing}`).join(", ")
+    el.style.transform = ""
+    if (mode === "size") {
+      el.style.width = `${detail.newRect.width}px`
+      el.style.height = `${detail.newRect.height}px`
+    }
+    for (const { child, restoreStyle: { transform } } of counterScaled) {
+      child.style.transition = `transform ${timing}`
+      child.style.transform = transform && `scale(1, 1) ${transform}`
+    }
+
+    let cleanedUp = false
+    const cleanup = (completed = true) => {
+      if (cleanedUp) return
+      cleanedUp = true
+      el.style.transition = ""
+      el.style.transform = ""
+      Object.assign(el.style, restoreStyle)
+      for (const { child, restoreStyle } of counterScaled) {
+        Object.assign(child.style, restoreStyle)
       }
+      clearStaggerProperties(el)
+      el.removeEventListener("transitionend", onEnd)
+      el.removeEventListener("transitioncancel", onCancel)
+      if (timer) clearTimeout(timer)
+      if (flipCleanups.get(el) === cleanup) flipCleanups.delete(el)
+      if (completed) dispatchLifecycleEvent(el, "after-move", detail)
+    }
+    const onEnd = (event) => { if (event.target === el && properties.includes(event.propertyName)) cleanup() }
+    const onCancel = (event) => { if (event.target === el && properties.includes(event.propertyName)) cleanup() }
+    const timer = setTimeout(cleanup, durationMs + staggerDelayMs + 50)
 
-    })
+    el.addEventListener("transitionend", onEnd)
+    el.addEventListener("transitioncancel", onCancel)
+    flipCleanups.set(el, cleanup)
+  }
+}
 
-    // FLIP: animate elements that moved position. Opt-in via data-turbo-refresh-move.
-    // Constant velocity by default (800px/s). Override via CSS custom properties:
-    //   --turbo-refresh-move-speed    (px/s, default 800)
-    //   --turbo-refresh-move-duration (e.g. "500ms"; fixed duration, overrides speed)
-    //   --turbo-refresh-move-easing   (e.g. "ease-in-out", default "ease-out")
-    //
-    // Batched to minimize forced reflows: measure all → invert all → one
-    // reflow → play all.
-    //
-    // Known limitation: moving elements may pass behind stationary siblings
-    // because CSS transforms don't reliably override DOM paint order. We
-    // attempted preserve-3d + translateZ but results were intermittent.
-    // Users can mitigate this with opaque backgrounds on items.
-    const movedElements = []
-    document.querySelectorAll("[data-turbo-refresh-move][id]").forEach(el => {
-      const oldRect = rectsBefore.get(el.id)
-      if (!oldRect) return
-
-      const newRect = el.getBoundingClientRect()
-      const deltaX = oldRect.left - newRect.left
-      const deltaY = oldRect.top - newRect.top
-      if (deltaX === 0 && deltaY === 0) return
-
-      const style = window.getComputedStyle(el)
-      const easing = style.getPropertyValue("--turbo-refresh-move-easing").trim() || "ease-out"
-      const fixedDuration = style.getPropertyValue("--turbo-refresh-move-duration").trim()
-      const speed = parseFloat(style.getPropertyValue("--turbo-refresh-move-speed")) || 800
-      const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY)
-      const duration = fixedDuration || `${Math.round(Math.max(distance / speed * 1000, 150))}ms`
-
-      movedElements.push({ el, deltaX, deltaY, duration, easing })
-    })
+// ========== UI STATE ==========
+// Client-side state that a refresh morph would reset on elements that still update:
+//   data-turbo-refresh-keep-scroll                      → scrollTop/scrollLeft
+//   data-turbo-refresh-keep-attributes="open, class:active" → these attributes (present
+//                                                         or absent) and class tokens
+// Captured right before the render and restored right after it, before enter/change
+// and FLIP measure anything. Elements are matched by identity (morphing keeps them),
+// else by id.
+
+const KEEP_SELECTOR = "[data-turbo-refresh-keep-scroll], [data-turbo-refresh-keep-attributes]"
+
+function captureUiState(roots) {
+  const entries = []
+  for (const el of elementsWithin(roots, KEEP_SELECTOR)) {
+    const restorers = []
+
+    if (el.hasAttribute("data-turbo-refresh-keep-scroll")) {
+      const { scrollTop, scrollLeft } = el
+      restorers.push(target => {
+        target.scrollTop = scrollTop
+        target.scrollLeft = scrollLeft
+      })
+    }
 
-    if (movedElements.length > 0) {
-      // Invert: snap moved elements back to their old positions
-      for (const { el, deltaX, deltaY } of movedElements) {
-        el.style.transform = `translate(${deltaX}px, ${deltaY}px)`
-        el.style.transition = "none"
+    for (const name of parseNameList(el.getAttribute("data-turbo-refresh-keep-attributes"))) {
+      if (name.startsWith("class:")) {
+        const token = name.slice("class:".length)
+        const present = el.classList.contains(token)
+        restorers.push(target => target.classList.toggle(token, present))
+      } else {
+        const value = el.getAttribute(name)
+        restorers.push(target => {
+          if (value === null) {
+            target.removeAttribute(name)
+          } else {
+            target.setAttribute(name, value)
+          }
+        })
       }
+    }
 
-      // Force one reflow
-      void document.body.offsetWidth
+    entries.push({ el, id: el.id, restorers })
+  }
+  return entries
+}
 
-      // Play: transition moved elements to their new positions
-      for (const { el, duration, easing } of movedElements) {
-        const durationMs = parseCssTimeMs(duration)
+function restoreUiState(entries) {
+  for (const { el, id, restorers } of entries) {
+    const target = el.isConnected ? el : id && document.getElementById(id)
+    if (!target) continue
 
-        el.style.transition = `transform ${duration} ${easing}`
-        el.style.transform = ""
+    for (const restore of restorers) restore(target)
+  }
+}
 
-        const cleanup = () => {
-          el.style.transition = ""
-          el.style.transform = ""
-          el.removeEventListener("transitionend", onEnd)
-          el.removeEventListener("transitioncancel", onCancel)
-          if (timer) clearTimeout(timer)
-        }
-        const onEnd = (event) => { if (event.target === el && event.propertyName === "transform") cleanup() }
-        const onCancel = (event) => { if (event.target === el && event.propertyName === "transform") cleanup() }
-        const timer = setTimeout(cleanup, durationMs + 50)
+// ========== OFFSCREEN CHANGES ==========
+// With config.offscreen.enabled, enters and changes that land outside the viewport
+// (or the nearest data-turbo-refresh-scroll-container) are remembered until they
+// scroll into view, where their animation replays. The count is kept on the
+// indicator element (config.offscreen.indicator) and in turbo-refresh:offscreen
+// events; clicking the indicator or jumpToNextOffscreenChange() scrolls to the next one.
+//
+// With config.offscreen.animateWhenVisible (or data-turbo-refresh-animate-when-visible
+// on the element or an ancestor), offscreen enters and changes don't play at all until
+// the element first becomes visible. Parked animations are dropped by the next refresh
+// of their page or frame, and before caching.
+
+// Offscreen element → { type, context } of the animation it missed
+const offscreenChanges = new Map()
+// Offscreen element → { type, context } of the animation waiting for it to become visible
+const parkedAnimations = new Map()
+// Scroll container (null: the viewport) → IntersectionObserver for offscreen elements
+const offscreenObservers = new Map()
+
+function scrollContainerFor(el) {
+  return el.parentElement?.closest("[data-turbo-refresh-scroll-container]") || null
+}
+
+// "above" or "below" its scroll container's visible area, or null when (partly)
+// visible or not rendered at all
+function offscreenPosition(el) {
+  const rect = el.getBoundingClientRect()
+  if (rect.width === 0 && rect.height === 0) return null
+
+  const container = scrollContainerFor(el)
+  const bounds = container ? container.getBoundingClientRect() : { top: 0, bottom: window.innerHeight }
+  if (rect.bottom <= bounds.top) return "above"
+  if (rect.top >= bounds.bottom) return "below"
+  return null
+}
 
-        el.addEventListener("transitionend", onEnd)
-        el.addEventListener("transitioncancel", onCancel)
+// Parking needs IntersectionObserver to ever play the animation
+function animatesWhenVisible(el) {
+  if (typeof window.IntersectionObserver !== "function") return false
+  return config.offscreen.animateWhenVisible || el.closest("[data-turbo-refresh-animate-when-visible]") !== null
+}
+
+function findOffscreenChanges(pending) {
+  const checked = config.offscreen.enabled ? pending : pending.filter(({ el }) => animatesWhenVisible(el))
+  return checked.filter(({ el }) => offscreenPosition(el) !== null)
+}
+
+function parkAnimation(el, animType, context) {
+  parkedAnimations.set(el, { type: animType, context })
+  observeOffscreenElement(el)
+}
+
+// Drops the animations parked inside `root` (null: everywhere)
+function dropParkedAnimations(root = null) {
+  for (const el of parkedAnimations.keys()) {
+    if (root !== null && !root.contains(el)) continue
+    parkedAnimations.delete(el)
+    unobserveOffscreenElement(el)
+  }
+}
+
+function trackOffscreenChanges(offscreen) {
+  if (!config.offscreen.enabled) return
+
+  for (const el of offscreenChanges.keys()) {
+    if (!el.isConnected) forgetOffscreenChange(el)
+  }
+  for (const { el, animType, context } of offscreen) {
+    offscreenChanges.set(el, { type: animType, context })
+    observeOffscreenElement(el)
+  }
+
+  // The render may have reset the indicator to the server's markup
+  if (offscreen.length > 0) {
+    notifyOffscreenChanges(offscreen.map(({ el }) => el))
+  } else {
+    updateOffscreenIndicators()
+  }
+}
+
+function observeOffscreenElement(el) {
+  if (typeof window.IntersectionObserver !== "function") return
+
+  const root = scrollContainerFor(el)
+  let observer = offscreenObservers.get(root)
+  if (!observer) {
+    observer = new window.IntersectionObserver(entries => {
+      for (const entry of entries) {
+        if (entry.isIntersecting) onOffscreenElementVisible(entry.target)
       }
+    }, { root })
+    offscreenObservers.set(root, observer)
+  }
+  observer.observe(el)
+}
+
+// Stops observing `el` once neither an unseen change nor a parked animation needs it
+function unobserveOffscreenElement(el) {
+  if (offscreenChanges.has(el) || parkedAnimations.has(el)) return
+  for (const observer of offscreenObservers.values()) observer.unobserve(el)
+}
+
+function onOffscreenElementVisible(el) {
+  const parked = parkedAnimations.get(el)
+  parkedAnimations.delete(el)
+  unobserveOffscreenElement(el)
+  if (parked && el.isConnected) applyAnimation(el, parked.type, parked.context)
+
+  // A parked animation just played for the first time; don't replay it
+  markOffscreenChangeSeen(el, !parked && config.offscreen.replay)
+}
+
+function forgetOffscreenChange(el) {
+  offscreenChanges.delete(el)
+  unobserveOffscreenElement(el)
+}
+
+function markOffscreenChangeSeen(el, replay = config.offscreen.replay) {
+  const missed = offscreenChanges.get(el)
+  if (!missed) return
+
+  forgetOffscreenChange(el)
+  if (replay && el.isConnected) applyAnimation(el, missed.type, missed.context)
+  notifyOffscreenChanges()
+}
+
+function updateOffscreenIndicators() {
+  if (!config.offscreen.indicator) return
+
+  let indicators
+  try {
+    indicators = document.querySelectorAll(config.offscreen.indicator)
+  } catch {
+    return
+  }
+
+  const count = String(offscreenChanges.size)
+  for (const indicator of indicators) {
+    indicator.hidden = offscreenChanges.size === 0
+    indicator.setAttribute("data-turbo-refresh-offscreen-count", count)
+    indicator.querySelectorAll("[data-turbo-refresh-offscreen-count-text]").forEach(el => { el.textContent = count })
+  }
+}
+
+// Dispatched on the document whenever the count changes; `elements` lists the
+// changes that just went unseen (empty when one was seen).
+function notifyOffscreenChanges(elements = []) {
+  updateOffscreenIndicators()
+
+  const positions = Array.from(offscreenChanges.keys(), offscreenPosition)
+  dispatchLifecycleEvent(document, "offscreen", {
+    elements,
+    count: offscreenChanges.size,
+    above: positions.filter(position => position === "above").length,
+    below: positions.filter(position => position === "below").length
+  })
+}
+
+// Scrolls the first unseen change (in document order) into view and returns it,
+// or null when there is none.
+function jumpToNextOffscreenChange() {
+  const next = Array.from(offscreenChanges.keys())
+    .filter(el => el.isConnected)
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))[0]
+  if (!next) return null
+
+  next.scrollIntoView?.({ block: "center", behavior: isReducedMotion() ? "auto" : "smooth" })
+  // Without IntersectionObserver nothing else would notice it coming into view
+  if (typeof window.IntersectionObserver !== "function") markOffscreenChangeSeen(next)
+  return next
+}
+
+function onOffscreenIndicatorClick(event) {
+  if (!config.offscreen.enabled || !config.offscreen.indicator) return
+
+  try {
+    if (!event.target.closest?.(config.offscreen.indicator)) return
+  } catch {
+    return
+  }
+  jumpToNextOffscreenChange()
+}
+
+function clearOffscreenChanges() {
+  for (const observer of offscreenObservers.values()) observer.disconnect()
+  offscreenObservers.clear()
+  offscreenChanges.clear()
+  parkedAnimations.clear()
+}
+
+// ========== UNSEEN MARKERS ==========
+// With config.unseen.enabled (or data-turbo-refresh-mark-unseen on the element or an
+// ancestor), entered and changed elements keep config.classNames.unseen after their
+// animation. It clears once the element has been in view for config.unseen.dwellMs,
+// or when the user points at or focuses something inside it, and
+// turbo-refresh:seen is dispatched. The markers are carried across later renders by
+// id, since morphs reset the class attribute to the server's.
+
+// Unseen element → its dwell timer while in view (else null)
+const unseenElements = new Map()
+let unseenObserver = null
+
+function marksUnseen(el) {
+  return config.unseen.enabled || el.closest("[data-turbo-refresh-mark-unseen]") !== null
+}
+
+function markUnseen(el) {
+  el.classList.add(config.classNames.unseen)
+  if (unseenElements.has(el)) return
+
+  unseenElements.set(el, null)
+  if (typeof window.IntersectionObserver === "function") {
+    unseenObserver ||= new window.IntersectionObserver(onUnseenIntersection)
+    unseenObserver.observe(el)
+  } else if (offscreenPosition(el) === null) {
+    // No way to tell when it scrolls into view; start dwelling if it's there now
+    startDwelling(el)
+  }
+}
+
+function startDwelling(el) {
+  if (unseenElements.get(el)) return
+  unseenElements.set(el, window.setTimeout(() => markSeen(el), config.unseen.dwellMs))
+}
+
+function onUnseenIntersection(entries) {
+  for (const { target, isIntersecting } of entries) {
+    if (!unseenElements.has(target)) continue
+
+    if (isIntersecting) {
+      startDwelling(target)
+    } else {
+      window.clearTimeout(unseenElements.get(target))
+      unseenElements.set(target, null)
+    }
+  }
+}
+
+function forgetUnseen(el) {
+  window.clearTimeout(unseenElements.get(el))
+  unseenElements.delete(el)
+  unseenObserver?.unobserve(el)
+}
+
+function markSeen(el) {
+  if (!unseenElements.has(el)) return
+
+  forgetUnseen(el)
+  el.classList.remove(config.classNames.unseen)
+  dispatchLifecycleEvent(el, "seen", { element: el })
+}
+
+function onUnseenInteraction(event) {
+  if (unseenElements.size === 0) return
+
+  for (let node = event.target; node; node = node.parentElement) {
+    if (unseenElements.has(node)) markSeen(node)
+  }
+}
+
+function unseenIds() {
+  return Array.from(unseenElements.keys(), el => (el.isConnected ? el.id : "")).filter(Boolean)
+}
+
+// Puts the markers back on the elements with `ids` after a render. Elements the
+// render replaced start dwelling afresh.
+function restoreUnseen(ids) {
+  for (const el of unseenElements.keys()) {
+    if (!el.isConnected) forgetUnseen(el)
+  }
+  for (const id of ids) {
+    const el = document.getElementById(id)
+    if (el) markUnseen(el)
+  }
+}
+
+function clearUnseenElements() {
+  for (const el of unseenElements.keys()) {
+    el.classList.remove(config.classNames.unseen)
+    window.clearTimeout(unseenElements.get(el))
+  }
+  unseenElements.clear()
+  unseenObserver?.disconnect()
+  unseenObserver = null
+}
+
+// ========== HIDDEN TABS ==========
+// Renders while document.visibilityState is "hidden" (e.g. a broadcast refresh in a
+// background tab) skip their animations, since they'd all be over before the user
+// comes back. With config.whileHidden "catch-up", the entered, changed and moved ids
+// are recorded instead, merged per id, and one catch-up pass plays for the elements
+// that still exist when the tab becomes visible again.
+
+// Merged record of what hidden renders changed: ids that entered or changed, ids that
+// moved, and the earliest signature, field signatures and rect seen for each
+let missedWhileHidden = emptyMissedChanges()
+
+function emptyMissedChanges() {
+  return { changed: new Set(), moved: new Set(), signatures: new Map(), fields: new Map(), rects: new Map(), origin: null }
+}
+
+function animationsHeldWhileHidden() {
+  return document.visibilityState === "hidden" && config.whileHidden !== "animate"
+}
+
+function recordMissedOrigin(origin) {
+  // One external refresh makes the catch-up external
+  if (missedWhileHidden.origin !== "external") missedWhileHidden.origin = origin
+}
+
+function recordMissedEntersAndChanges(pending, snapshot) {
+  if (config.whileHidden !== "catch-up" || pending.length === 0) return
+
+  const missed = missedWhileHidden
+  for (const { el, animType, context } of pending) {
+    const { id } = el
+    if (animType === "enter") {
+      // New to the user, whatever happened to it before
+      missed.signatures.delete(id)
+      missed.fields.delete(id)
+    } else if (!missed.changed.has(id)) {
+      missed.signatures.set(id, context.oldSignature)
+      if (snapshot.fields?.has(id)) missed.fields.set(id, snapshot.fields.get(id))
     }
+    missed.changed.add(id)
+    if (context.oldRect && !missed.rects.has(id)) missed.rects.set(id, context.oldRect)
   }
+  recordMissedOrigin(snapshot.origin)
+}
+
+function recordMissedMoves(elements, snapshot) {
+  if (config.whileHidden !== "catch-up") return
+
+  const missed = missedWhileHidden
+  let recorded = false
+  for (const el of elements) {
+    const oldRect = snapshot.rects.get(el.id)
+    if (!oldRect) continue
+
+    missed.moved.add(el.id)
+    if (!missed.rects.has(el.id)) missed.rects.set(el.id, oldRect)
+    recorded = true
+  }
+  if (recorded) recordMissedOrigin(snapshot.origin)
+}
+
+function onVisibilityChange() {
+  if (document.visibilityState === "hidden") return
+
+  const missed = missedWhileHidden
+  missedWhileHidden = emptyMissedChanges()
+  if (missed.changed.size === 0 && missed.moved.size === 0) return
+
+  const existing = (ids, selector) => Array.from(ids, id => document.getElementById(id)).filter(el => el?.matches(selector))
+  const snapshot = { signatures: missed.signatures, rects: missed.rects, fields: missed.fields, origin: missed.origin }
+
+  // Changes that were undone while hidden compare equal and don't animate
+  animateEntersAndChanges(existing(missed.changed, ANIMATED_SELECTOR), snapshot)
+  animateMoves(existing(missed.moved, MOVE_SELECTOR), snapshot)
+}
+
+function clearMissedChanges() {
+  missedWhileHidden = emptyMissedChanges()
+}
+
+// ========== PAGE REFRESHES ==========
+
+// Before render: detect deletions and animate BEFORE morph
+async function onBeforeRender(event) {
+  if (!event.detail.newBody) {
+    clearPendingVisit()
+    return
+  }
+
+  pageRefresh = null
+  const isRefresh = isPageRefreshVisit()
+  clearPendingVisit()
+  if (!isRefresh) {
+    // A different page: the ids missed while hidden belong to the old one
+    clearMissedChanges()
+    return
+  }
+
+  dropParkedAnimations()
+
+  const animatedElements = Array.from(document.querySelectorAll(ANIMATED_SELECTOR))
+  const refresh = pageRefresh = {
+    signatures: captureSignatures(animatedElements),
+    fields: captureFieldSignatures(animatedElements),
+    rects: captureRects(document.querySelectorAll(MOVE_SELECTOR)),
+    uiState: [],
+    origin: refreshOriginFor(),
+    unseen: unseenIds()
+  }
+  event.detail.refreshOrigin = refresh.origin
+
+  // If there are deletions, animate them BEFORE the morph
+  const exits = animateExits(animatedElements, event.detail.newBody, refresh)
+  if (exits) event.preventDefault()
+  try {
+    if (exits) await exits
+  } finally {
+    // After the exits, so scrolling during them isn't lost
+    refresh.uiState = captureUiState([document.documentElement])
+    // Even when an exit failed; otherwise the render would stay paused
+    if (exits) event.detail.resume()
+  }
+}
+
+function onRender(event) {
+  lastRenderedPathname = window.location.pathname
+  clearRenderedInitiators()
+  clearPendingVisit()
 
-  shouldAnimateAfterRender = false
-  signaturesBefore = new Map()
-  rectsBefore = new Map()
-})
+  const refresh = pageRefresh
+  pageRefresh = null
+  if (!refresh) return
+
+  if (event.detail) event.detail.refreshOrigin = refresh.origin
+  restoreUiState(refresh.uiState)
+  animateEntersAndChanges(document.querySelectorAll(ANIMATED_SELECTOR), refresh)
+  animateMoves(document.querySelectorAll(MOVE_SELECTOR), refresh)
+}
+
+// ========== TURBO FRAMES ==========
+// <turbo-frame refresh="morph"> reloads (including frame.reload()) get the same
+// treatment as page refreshes, scoped to the frame's contents: snapshot, exit
+// deferral, enter/change, FLIP, and data-turbo-refresh-preserve protection.
+
+// Frames currently rendering a refresh → their { signatures, rects, fields, uiState, origin } snapshot
+const frameRefreshes = new Map()
+// Frame → visit key of the src it last rendered
+let lastRenderedFrameSrcs = new WeakMap()
+
+function isFrameRefresh(frame, detail) {
+  if (detail.renderMethod === "morph") return true
+  if (frame.getAttribute("refresh") !== "morph") return false
+
+  const src = frame.getAttribute("src")
+  if (!src) return false
+
+  const lastKey = lastRenderedFrameSrcs.get(frame)
+  return lastKey !== undefined && lastKey === visitKeyForUrl(src)
+}
+
+// The snapshot covering `el`: the innermost refreshing frame that contains it,
+// else the page refresh in progress, else null.
+function refreshScopeFor(el) {
+  let frame = el.closest("turbo-frame")
+  while (frame) {
+    const refresh = frameRefreshes.get(frame)
+    if (refresh) return refresh
+    frame = frame.parentElement?.closest("turbo-frame")
+  }
+
+  return pageRefresh
+}
+
+async function onBeforeFrameRender(event) {
+  const frame = event.target
+  frameRefreshes.delete(frame)
+
+  const newFrame = event.detail?.newFrame
+  if (!newFrame || !isFrameRefresh(frame, event.detail)) return
+
+  dropParkedAnimations(frame)
+
+  const animatedElements = elementsWithin([frame], ANIMATED_SELECTOR, { includeRoots: false })
+  const refresh = {
+    signatures: captureSignatures(animatedElements),
+    fields: captureFieldSignatures(animatedElements),
+    rects: captureRects(elementsWithin([frame], MOVE_SELECTOR, { includeRoots: false })),
+    uiState: [],
+    origin: refreshOriginFor(frame),
+    unseen: unseenIds()
+  }
+  frameRefreshes.set(frame, refresh)
+  event.detail.refreshOrigin = refresh.origin
+
+  const exits = animateExits(animatedElements, newFrame, refresh)
+  if (exits) event.preventDefault()
+  try {
+    if (exits) await exits
+  } finally {
+    refresh.uiState = captureUiState([frame])
+    if (exits) event.detail.resume()
+  }
+}
+
+function onFrameRender(event) {
+  const frame = event.target
+  const src = frame.getAttribute("src")
+  if (src) lastRenderedFrameSrcs.set(frame, visitKeyForUrl(src))
+
+  clearRenderedInitiators(frame)
+
+  const refresh = frameRefreshes.get(frame)
+  frameRefreshes.delete(frame)
+  if (!refresh) return
+
+  if (event.detail) event.detail.refreshOrigin = refresh.origin
+  restoreUiState(refresh.uiState)
+  animateEntersAndChanges(elementsWithin([frame], ANIMATED_SELECTOR, { includeRoots: false }), refresh)
+  animateMoves(elementsWithin([frame], MOVE_SELECTOR, { includeRoots: false }), refresh)
+}
+
+// ========== TURBO STREAMS ==========
+// Wraps each stream action's render so the same attributes animate stream
+// updates: exits run before the action applies; inserted, replaced and updated
+// elements get enter/change animations afterwards. FLIP is not applied (only
+// the stream's targets are known, not the siblings that shift around them).
+
+const ANIMATED_STREAM_ACTIONS = new Set(["append", "prepend", "before", "after", "replace", "update", "remove"])
+
+function onBeforeStreamRender(event) {
+  const render = event.detail?.render
+  if (typeof render !== "function") return
+
+  event.detail.render = (streamElement) => renderStreamWithAnimations(streamElement, render)
+}
+
+async function renderStreamWithAnimations(streamElement, render) {
+  const action = streamElement.getAttribute("action")
+  const targets = Array.from(streamElement.targetElements || [])
+  if (!ANIMATED_STREAM_ACTIONS.has(action) || targets.length === 0) {
+    return render(streamElement)
+  }
+
+  const template = action === "remove" ? null : streamElement.templateContent
+  const incomingIds = template
+    ? Array.from(template.querySelectorAll(ANIMATED_SELECTOR), el => el.id)
+    : []
+
+  // Existing elements the action will replace or remove. `update` keeps the
+  // target itself, so only its descendants can exit.
+  const exitScope = action === "remove" || action === "replace"
+    ? elementsWithin(targets, ANIMATED_SELECTOR)
+    : action === "update"
+      ? elementsWithin(targets, ANIMATED_SELECTOR, { includeRoots: false })
+      : []
+  const updatedTargets = action === "update" ? targets.filter(el => el.matches(ANIMATED_SELECTOR)) : []
+
+  // Same ids already elsewhere on the page (Turbo drops duplicates on append/prepend)
+  const existingIncoming = incomingIds
+    .map(id => document.getElementById(id))
+    .filter(Boolean)
+
+  const snapshotted = [...exitScope, ...updatedTargets, ...existingIncoming]
+  const snapshot = {
+    signatures: captureSignatures(snapshotted),
+    fields: captureFieldSignatures(snapshotted),
+    rects: new Map(),
+    origin: ownStreamResponses > 0 ? "self" : "external",
+    unseen: unseenIds()
+  }
+
+  // The action finds its targets again when it renders, so they have to stay in place
+  const exits = animateExits(exitScope, template, snapshot, { removedByRender: new Set(targets) })
+  try {
+    if (exits) await exits
+  } finally {
+    await render(streamElement)
+  }
+
+  const rendered = new Set(updatedTargets.filter(el => el.isConnected))
+  for (const id of incomingIds) {
+    const el = document.getElementById(id)
+    if (el) rendered.add(el)
+  }
+  animateEntersAndChanges(rendered, snapshot)
+}
+
+// ========== INSTALLATION ==========
+
+const listeners = [
+  ["turbo:morph", hideTurboProgressBar],
+  ["turbo:submit-start", onSubmitStart],
+  ["turbo:submit-end", onSubmitEnd],
+  ["turbo:click", onClick],
+  ["turbo:visit", onVisit],
+  ["turbo:before-cache", onBeforeCache],
+  ["turbo:before-morph-element", onBeforeMorphElement],
+  ["input", onFieldInput],
+  ["change", onFieldInput],
+  ["reset", onFormReset],
+  ["focusout", onPreservedFocusOut],
+  ["turbo-refresh:release", onRelease],
+  ["click", onOffscreenIndicatorClick],
+  ["pointerdown", onUnseenInteraction],
+  ["focusin", onUnseenInteraction],
+  ["visibilitychange", onVisibilityChange],
+  ["turbo:before-render", onBeforeRender],
+  ["turbo:render", onRender],
+  ["turbo:before-stream-render", onBeforeStreamRender],
+  ["turbo:before-frame-render", onBeforeFrameRender],
+  ["turbo:frame-render", onFrameRender]
+]
+
+function resetState() {
+  lastRenderedPathname = window.location.pathname
+  clearPendingVisit()
+  clearInitiators()
+  dirtyFields = new WeakSet()
+  staleUpdates = new WeakMap()
+  clearDeferredUpdates()
+  pageRefresh = null
+  clearOffscreenChanges()
+  clearUnseenElements()
+  clearMissedChanges()
+  frameRefreshes.clear()
+  lastRenderedFrameSrcs = new WeakMap()
+}
+
+// Adds the Turbo listeners (once) and merges `options` into the live config.
+// Calling it again while installed just applies the new options.
+function install(options = {}) {
+  if (!canInstall) return
+
+  mergeConfig(config, options)
+
+  if (!installed) {
+    // Another copy of the library (e.g. bundled twice) already owns the page.
+    if (window.TurboRefreshAnimationsInstalled) return
+
+    window.TurboRefreshAnimationsInstalled = true
+    installed = true
+    resetState()
+    for (const [name, listener] of listeners) {
+      document.addEventListener(name, listener)
+    }
+    watchReducedMotionQuery()
+  }
+
+  syncInjectedStyle()
+}
+
+// Removes every listener and the injected style, stops running animations, drops
+// in-flight state, and restores the default config.
+function uninstall() {
+  if (!canInstall || !installed) return
+
+  for (const [name, listener] of listeners) {
+    document.removeEventListener(name, listener)
+  }
+  installed = false
+  delete window.TurboRefreshAnimationsInstalled
+  unwatchReducedMotionQuery()
+
+  injectedStyle?.remove()
+  injectedStyle = null
+  cancelRunningAnimations()
+
+  resetState()
+  resetConfig()
+}
+
+const TurboRefreshAnimations = {
+  config,
+  install,
+  uninstall,
+  registerAnimation,
+  unregisterAnimation,
+  setReducedMotion,
+  isReducedMotion,
+  registerSignature,
+  unregisterSignature,
+  acceptStale,
+  dismissStale,
+  registerPreserveCondition,
+  unregisterPreserveCondition,
+  releasePreserved,
+  markInitiator,
+  jumpToNextOffscreenChange,
+  get installed() {
+    return installed
+  }
+}
 
+export {
+  TurboRefreshAnimations,
+  config,
+  install,
+  uninstall,
+  registerAnimation,
+  unregisterAnimation,
+  setReducedMotion,
+  isReducedMotion,
+  registerSignature,
+  unregisterSignature,
+  acceptStale,
+  dismissStale,
+  registerPreserveCondition,
+  unregisterPreserveCondition,
+  releasePreserved,
+  markInitiator,
+  jumpToNextOffscreenChange
 }